@@ -16,25 +16,97 @@ from release_server import (
 )
 from sample import prompts as default_prompts
 
+class PromptState:
+    """
+    Holds the prompt a live ``frame_generator`` follows. Updating it makes the
+    generator switch prompts after the current block, crossfading from the last
+    frame of the old prompt over ``transition_frames`` frames.
+    """
+
+    def __init__(self, prompt, transition_frames=0):
+        self.prompt = prompt
+        self.transition_frames = transition_frames
+        self.version = 0
+
+    def update(self, prompt, transition_frames=None):
+        self.prompt = prompt
+        if transition_frames is not None:
+            self.transition_frames = max(0, int(transition_frames))
+        self.version += 1
+
+
+def _prompt_frames(prompt, params, config, models, should_stop=None):
+    """
+    Yields frames for a single prompt block by block, stopping early between
+    blocks once ``should_stop()`` returns True.
+    """
+    # Set the current prompt
+    params.prompt = prompt
+
+    # Collect frames as they are generated
+    collected_frames = []
+
+    def frame_callback(pixels, frame_ids, event):
+        """
+        Callback invoked after each block is generated.
+        ``pixels`` is a tensor on the GPU with shape
+        ``[1, num_frames, 3, H, W]``.
+        """
+        # Ensure GPU work is finished before moving to CPU
+        event.synchronize()
+        # Convert to CPU and normalize to [0, 1]
+        cpu_pixels = pixels.cpu().add_(1.0).mul_(0.5).clamp_(0.0, 1.0)
+        collected_frames.append(cpu_pixels)
+
+    # Create a generation session for the current prompt
+    session = GenerationSession(
+        params=params,
+        config=config,
+        frame_callback=frame_callback,
+        models=models,
+    )
+
+    try:
+        for _ in range(params.num_blocks):
+            session.generate_block(models)
+
+            # Yield this block's frames individually: [1, n, 3, H, W] -> [3, H, W]
+            for block in collected_frames:
+                for i in range(block.shape[1]):
+                    yield block[0, i]
+            collected_frames.clear()
+
+            if should_stop is not None and should_stop():
+                break
+    finally:
+        # Clean up the session before moving to the next prompt
+        session.dispose()
+
+
 def frame_generator(
     prompts_list=None,
     config_path="krea-realtime-video/configs/self_forcing_server_14b.yaml",
     fps=10,
+    prompt_state=None,
 ):
     """
-    Yields video frames (torch tensors of shape [3, H, W]) for each prompt
-    in ``prompts_list`` using the Krea realtime video generation pipeline.
+    Yields video frames (torch tensors of shape [3, H, W]) using the Krea
+    realtime video generation pipeline.
 
     Parameters
     ----------
     prompts_list : list[str] | None
-        List of text prompts. If ``None``, the default prompts from
-        ``krea-realtime-video.sample`` are used.
+        List of text prompts, generated once each in order. If ``None``, the
+        default prompts from ``krea-realtime-video.sample`` are used. Ignored
+        when ``prompt_state`` is given.
     config_path : str
         Path to the model configuration YAML file.
     fps : int
         Frames‑per‑second for the generated video (used only for timing;
         the generator itself is agnostic to FPS).
+    prompt_state : PromptState | None
+        Live prompt to follow. The generator then runs until closed, switching
+        prompts whenever ``prompt_state`` is updated.
 
     Yields
     ------
@@ -51,46 +123,33 @@ def frame_generator(
     # Prepare generation parameters (use defaults, then set the prompt)
     params = GenerateParams()
 
-    for prompt_idx, prompt in enumerate(prompts_list):
-        # Set the current prompt
-        params.prompt = prompt
-
-        # Collect frames as they are generated
-        collected_frames = []
-
-        def frame_callback(pixels, frame_ids, event):
-            """
-            Callback invoked after each block is generated.
-            ``pixels`` is a tensor on the GPU with shape
-            ``[1, num_frames, 3, H, W]``.
-            """
-            # Ensure GPU work is finished before moving to CPU
-            event.synchronize()
-            # Convert to CPU and normalize to [0, 1]
-            cpu_pixels = pixels.cpu().add_(1.0).mul_(0.5).clamp_(0.0, 1.0)
-            collected_frames.append(cpu_pixels)
-
-        # Create a generation session for the current prompt
-        session = GenerationSession(
-            params=params,
-            config=config,
-            frame_callback=frame_callback,
-            models=models,
-        )
-
-        # Generate all blocks for this prompt
-        num_blocks = params.num_blocks
-        for _ in range(num_blocks):
-            session.generate_block(models)
+    if prompt_state is None:
+        for prompt in prompts_list:
+            yield from _prompt_frames(prompt, params, config, models)
+        return
 
-        # Concatenate all frames across blocks: shape [1, total_frames, 3, H, W]
-        combined = torch.cat(collected_frames, dim=1)
+    previous_frame = None
+    while True:
+        prompt = prompt_state.prompt
+        version = prompt_state.version
+        transition_frames = prompt_state.transition_frames
+        blended = 0
+        last_frame = previous_frame
 
-        # Yield each frame individually
-        total_frames = combined.shape[1]
-        for i in range(total_frames):
-            # combined[0, i] -> shape [3, H, W]
-            yield combined[0, i]
+        frames = _prompt_frames(
+            prompt,
+            params,
+            config,
+            models,
+            should_stop=lambda: prompt_state.version != version,
+        )
+        for frame in frames:
+            # Crossfade from the last frame shown before the prompt changed
+            if previous_frame is not None and blended < transition_frames:
+                alpha = (blended + 1) / (transition_frames + 1)
+                frame = previous_frame * (1.0 - alpha) + frame * alpha
+                blended += 1
+            yield frame
+            last_frame = frame
 
-        # Clean up the session before moving to the next prompt
-        session.dispose()
\ No newline at end of file
+        previous_frame = last_frame
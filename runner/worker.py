@@ -37,9 +37,9 @@ async def load_model(**kwargs):
     try:
         # Use the same FPS as the worker's configuration
         frame_gen = frame_generator(
-            prompts_list=sample_prompts,
             config_path="krea-realtime-video/configs/self_forcing_server_14b.yaml",
             fps=fps,
+            prompt_state=prompt_state,
         )
         logger.info("Krea frame generator initialized")
     except Exception as e:
@@ -56,11 +56,32 @@ sys.path.append(os.path.join(os.path.dirname(__file__), "krea-realtime-video"))
 from sample import prompts as sample_prompts
 
 # Import the frame generator we just created
-from run_krea_gen import frame_generator
+from run_krea_gen import frame_generator, PromptState
 
 # Global frame generator (initialized in load_model)
 frame_gen = None
 
+# Prompt followed by the frame generator, changed through stream param updates
+prompt_state = PromptState(sample_prompts[0])
+
+async def update_params(params):
+    """Switch the live prompt, e.g. from POST /ai/stream/:id/update."""
+    prompt = params.get("prompt")
+    if not prompt:
+        logger.warning(f"Ignoring param update without prompt: {params}")
+        return
+
+    # Transition length arrives in milliseconds, the generator counts frames
+    transition = params.get("transition") or {}
+    transition_frames = None
+    if transition.get("type", "crossfade") == "crossfade" and "duration_ms" in transition:
+        transition_frames = round(transition["duration_ms"] / 1000 * fps)
+    elif transition.get("type") == "cut":
+        transition_frames = 0
+
+    prompt_state.update(prompt, transition_frames)
+    logger.info(f"Prompt updated ({prompt_state.transition_frames} transition frames): {prompt}")
+
 async def send_frame():
     """Send the next generated frame to the stream processor."""
     global pts, pts_inc, time_base, frame_gen
@@ -123,6 +144,7 @@ if __name__ == "__main__":
 
     processor = StreamProcessor(
         model_loader=load_model,   # will block until worker ready
+        param_updater=update_params,
         on_stream_stop=on_stream_stop,
         name="video-gen",
     )
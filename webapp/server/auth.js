@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Ordered from least to most privileged: viewers watch, operators also
+// submit prompts and stop streams, admins also change server settings
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const SESSION_COOKIE = 'krea_session';
+
+export class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+export function hasRole(role, requiredRole) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// API_KEYS format: "key1:admin,key2:operator". A key without a role is an operator key.
+export function parseApiKeys(value) {
+  const apiKeys = [];
+  for (const entry of (value || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const separator = trimmed.lastIndexOf(':');
+    const key = separator === -1 ? trimmed : trimmed.slice(0, separator);
+    const role = separator === -1 ? 'operator' : trimmed.slice(separator + 1);
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}" in API_KEYS`);
+    }
+    apiKeys.push({ key, role });
+  }
+  return apiKeys;
+}
+
+// ?token= and ?api_key= values replaced, for URLs that end up in logs
+export function redactCredentials(url) {
+  return url.replace(/([?&](?:token|api_key)=)[^&#]*/gi, '$1[redacted]');
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    try {
+      cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (error) {
+      // Ignore cookies set by other apps that are not URI encoded
+    }
+  }
+  return cookies;
+}
+
+// API keys are exchanged for short-lived session tokens, which browsers keep
+// in an HttpOnly cookie so they also reach the WebSocket upgrade and SSE.
+// Without any API keys configured, auth is disabled and everyone is admin.
+export class AuthManager {
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      apiKeys: options.apiKeys || [],
+      anonymousRole: options.anonymousRole || 'viewer', // 'none' requires credentials to watch
+      tokenTtl: options.tokenTtl || 12 * 60 * 60 * 1000
+    };
+
+    // Keys are kept as digests so lookups do not compare secrets directly
+    this.apiKeys = new Map(this.options.apiKeys.map(({ key, role }) => [digest(key), role]));
+    this.sessionTokens = new Map(); // Token digest -> { role, expiresAt }
+
+    if (!this.enabled) {
+      logger.warn('No API keys configured, authentication is disabled');
+    }
+  }
+
+  get enabled() {
+    return this.apiKeys.size > 0;
+  }
+
+  get anonymousRole() {
+    return ROLES.includes(this.options.anonymousRole) ? this.options.anonymousRole : null;
+  }
+
+  createSessionToken(role) {
+    this.pruneExpiredTokens();
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.options.tokenTtl;
+    this.sessionTokens.set(digest(token), { role, expiresAt });
+    return { token, role, expiresAt };
+  }
+
+  revokeSessionToken(token) {
+    return !!token && this.sessionTokens.delete(digest(token));
+  }
+
+  pruneExpiredTokens() {
+    const now = Date.now();
+    for (const [tokenDigest, session] of this.sessionTokens) {
+      if (session.expiresAt <= now) {
+        this.sessionTokens.delete(tokenDigest);
+      }
+    }
+  }
+
+  resolveApiKey(key) {
+    return this.apiKeys.get(digest(key)) || null;
+  }
+
+  resolveSessionToken(token) {
+    const tokenDigest = digest(token);
+    const session = this.sessionTokens.get(tokenDigest);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= Date.now()) {
+      this.sessionTokens.delete(tokenDigest);
+      return null;
+    }
+    return session.role;
+  }
+
+  // Credentials from, in order: Authorization header, X-API-Key header,
+  // ?token= or ?api_key= (for WebSocket and EventSource clients), session cookie
+  getCredential(request) {
+    const authorization = request.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return { credential: authorization.slice('Bearer '.length).trim(), source: 'header' };
+    }
+    if (request.headers['x-api-key']) {
+      return { credential: request.headers['x-api-key'], source: 'header' };
+    }
+
+    const { searchParams } = new URL(request.url, 'http://localhost');
+    const queryCredential = searchParams.get('token') || searchParams.get('api_key');
+    if (queryCredential) {
+      return { credential: queryCredential, source: 'query' };
+    }
+
+    const cookie = parseCookies(request.headers.cookie)[SESSION_COOKIE];
+    return { credential: cookie || null, source: 'cookie' };
+  }
+
+  // Returns { role, via, credential }. An explicit credential that is not
+  // valid is an error rather than a fallback to the anonymous role. A stale
+  // cookie, e.g. from before a restart, only counts as anonymous.
+  authenticate(request) {
+    if (!this.enabled) {
+      return { role: 'admin', via: 'disabled', credential: null };
+    }
+
+    const { credential, source } = this.getCredential(request);
+    const anonymous = { role: this.anonymousRole, via: 'anonymous', credential: null };
+    if (!credential) {
+      return anonymous;
+    }
+
+    const keyRole = this.resolveApiKey(credential);
+    if (keyRole) {
+      return { role: keyRole, via: 'api_key', credential };
+    }
+
+    const tokenRole = this.resolveSessionToken(credential);
+    if (tokenRole) {
+      return { role: tokenRole, via: 'session_token', credential };
+    }
+
+    if (source === 'cookie') {
+      return anonymous;
+    }
+    throw new AuthError('Invalid or expired credentials', 401);
+  }
+
+  // Throws unless the authenticated role is at least requiredRole
+  authorize(auth, requiredRole) {
+    if (hasRole(auth.role, requiredRole)) {
+      return;
+    }
+    if (!auth.role || auth.via === 'anonymous') {
+      throw new AuthError('Authentication required', 401);
+    }
+    throw new AuthError(`The ${requiredRole} role is required`, 403);
+  }
+
+  // Express middleware that sets req.auth for every request
+  middleware() {
+    return (req, res, next) => {
+      try {
+        req.auth = this.authenticate(req);
+        next();
+      } catch (error) {
+        res.status(error.status || 401).json({ error: error.message });
+      }
+    };
+  }
+
+  requireRole(requiredRole) {
+    return (req, res, next) => {
+      try {
+        this.authorize(req.auth, requiredRole);
+        next();
+      } catch (error) {
+        res.status(error.status).json({ error: error.message });
+      }
+    };
+  }
+}
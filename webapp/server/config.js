@@ -0,0 +1,448 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { parseApiKeys, ROLES } from './auth.js';
+import { RECORDING_FORMATS } from './recorder.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+export const GENERATION_QUALITIES = ['low', 'medium', 'high'];
+
+// All problems found in one pass, so a bad config file is fixed in one go
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(({ key, message }) => `  - ${key}: ${message}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+    this.status = 400;
+  }
+
+  toJSON() {
+    return { error: 'Invalid configuration', errors: this.errors };
+  }
+}
+
+// Parsers take values from env vars (strings) or config files and API
+// requests (JSON types), and throw with a message saying what is expected
+const TYPES = {
+  string(value, spec) {
+    const string = String(value).trim();
+    if (spec.maxLength && string.length > spec.maxLength) {
+      throw new Error(`must be at most ${spec.maxLength} characters`);
+    }
+    return string;
+  },
+  integer(value, spec) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(number)) {
+      throw new Error(`must be an integer, got "${value}"`);
+    }
+    return checkRange(number, spec);
+  },
+  number(value, spec) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) {
+      throw new Error(`must be a number, got "${value}"`);
+    }
+    return checkRange(number, spec);
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) return true;
+    if (['false', '0', 'no'].includes(normalized)) return false;
+    throw new Error(`must be true or false, got "${value}"`);
+  },
+  url(value) {
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch (error) {
+      throw new Error(`must be a URL, got "${value}"`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`must be an http or https URL, got "${value}"`);
+    }
+    return String(value).replace(/\/+$/, '');
+  },
+  enum(value, spec) {
+    const normalized = String(value).trim();
+    if (!spec.values.includes(normalized)) {
+      throw new Error(`must be one of ${spec.values.join(', ')}, got "${value}"`);
+    }
+    return normalized;
+  },
+  // Comma-separated in env vars, an array in config files
+  list(value, spec) {
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+    if (spec.maxItems && items.length > spec.maxItems) {
+      throw new Error(`must have at most ${spec.maxItems} items`);
+    }
+    const long = spec.maxLength && items.find((item) => item.length > spec.maxLength);
+    if (long) {
+      throw new Error(`items must be at most ${spec.maxLength} characters, got "${long}"`);
+    }
+    return items;
+  }
+};
+
+function checkRange(number, { min, max }) {
+  if (min !== undefined && number < min) {
+    throw new Error(`must be at least ${min}, got ${number}`);
+  }
+  if (max !== undefined && number > max) {
+    throw new Error(`must be at most ${max}, got ${number}`);
+  }
+  return number;
+}
+
+// Number of reverse proxies in front of the server, as Express' 'trust proxy'.
+// true is refused: it would take the client IP from the left-most
+// X-Forwarded-For entry, which the client itself can set.
+function parseTrustProxy(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'false') return 0;
+  if (normalized === 'true') {
+    throw new Error('must be the number of proxies in front of the server, not true');
+  }
+  return TYPES.integer(normalized, { min: 0 });
+}
+
+// Settings by CONFIG key. `env` names the env var when it differs from the
+// key, `reloadable` settings can change at runtime (SIGHUP or PATCH
+// /api/config), `secret` ones are never returned by the API.
+export const CONFIG_SCHEMA = {
+  PORT: { type: 'integer', default: 3001, min: 1, max: 65535 },
+  FRONTEND_ENABLED: { type: 'boolean', default: true },
+  LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info', reloadable: true },
+  LOG_FILE_PATH: { type: 'string', default: '.' }, // Directory of error.log and combined.log
+  DATA_DIR: { type: 'string', default: path.join(__dirname, 'data') }, // Persistent server state
+
+  // Video generation API
+  VIDEO_API_BASE: { type: 'url', default: 'http://localhost:8000' },
+  VIDEO_API_TIMEOUT: { type: 'integer', default: 30000, min: 100, reloadable: true },
+  GENERATION_TIMEOUT: { type: 'integer', default: 10000, min: 1000, reloadable: true }, // For a new stream to connect, then it is closed
+  GENERATION_QUALITY: { type: 'enum', values: GENERATION_QUALITIES, default: 'high', reloadable: true }, // Sent to /ai/stream/start
+  GENERATION_DURATION: { type: 'integer', default: 10, min: 1, max: 300, reloadable: true }, // Seconds
+  PROMPT_TRANSITION_TYPE: { type: 'string', default: 'crossfade', reloadable: true }, // How live prompt changes blend in
+  PROMPT_TRANSITION_MS: { type: 'integer', default: 1500, min: 0, reloadable: true },
+  PROMPT_QUEUE_MAX_SIZE: { type: 'integer', default: 50, min: 1 },
+  PROMPT_MIN_DISPLAY_MS: { type: 'integer', default: 5000, min: 0, reloadable: true }, // How long a queued prompt stays on screen
+  PROMPT_MAX_ATTEMPTS: { type: 'integer', default: 3, min: 1, reloadable: true }, // Starts of a queued prompt before it is dropped
+
+  // LLM bot
+  LLM_API_BASE: { type: 'url', default: 'http://localhost:8001' },
+  LLM_API_KEY: { type: 'string', default: null, secret: true },
+  LLM_MODEL: { type: 'string', default: 'gpt-4o-mini' },
+  LLM_TIMEOUT: { type: 'integer', default: 15000, min: 100, reloadable: true },
+  LLM_HISTORY_LENGTH: { type: 'integer', default: 20, min: 0, reloadable: true }, // Messages of context sent to the LLM
+  LLM_CYCLE_INTERVAL: { type: 'integer', default: 7000, min: 1000, reloadable: true },
+
+  // Frames
+  FRAME_RATE: { type: 'integer', env: 'TARGET_FPS', default: 30, min: 1, max: 120, reloadable: true },
+  FRAME_JPEG_QUALITY: { type: 'integer', default: 80, min: 1, max: 100, reloadable: true },
+  FRAME_MAX_WIDTH: { type: 'integer', default: null, min: 1 }, // Downscale decoded frames to fit
+  FRAME_MAX_HEIGHT: { type: 'integer', default: null, min: 1 },
+  FRAME_QUEUE_SIZE: { type: 'integer', default: 5, min: 1 }, // Decoded frames buffered ahead of the streamer
+  CLIENT_MAX_BUFFERED_BYTES: { type: 'integer', default: 1024 * 1024, min: 1024, reloadable: true }, // Skip frames above this
+  WS_HEARTBEAT_INTERVAL: { type: 'integer', default: 30000, min: 1000 }, // Ping interval, clients missing a pong are dropped
+  EVENT_BUFFER_SIZE: { type: 'integer', default: 500, min: 0, reloadable: true }, // Broadcasts kept per session for resume
+  SSE_HEARTBEAT_INTERVAL: { type: 'integer', default: 15000, min: 1000 }, // Comment lines sent to idle event streams
+  SSE_RETRY_INTERVAL: { type: 'integer', default: 3000, min: 100, reloadable: true }, // Reconnect delay suggested to browsers
+  WAITING_IMAGE_PATH: { type: 'string', default: path.join(__dirname, 'assets', 'waiting.jpg') },
+
+  // WHEP
+  WHEP_TIMEOUT: { type: 'integer', default: 5000, min: 100, reloadable: true }, // Per WHEP request and ICE restart
+  MAX_RECONNECT_ATTEMPTS: { type: 'integer', default: 3, min: 0, reloadable: true },
+  WHEP_TOKEN: { type: 'string', default: null, secret: true }, // Bearer token for the upstream WHEP endpoint
+  ICE_SERVERS: {
+    type: 'list',
+    default: 'stun:stun.l.google.com:19302',
+    transform: (urls) => urls.map((url) => ({ urls: url }))
+  },
+
+  // Stream health watchdog
+  STREAM_STALL_TIMEOUT: { type: 'integer', default: 5000, min: 1000, reloadable: true }, // No frames for this long is a stall
+  STREAM_DEAD_TIMEOUT: { type: 'integer', default: 15000, min: 1000, reloadable: true }, // ...and this long a dead stream
+  STREAM_DEGRADED_FPS: { type: 'number', default: 5, min: 0, reloadable: true }, // Received frame rate below this is degraded
+  STREAM_STATUS_INTERVAL: { type: 'integer', default: 10000, min: 1000 }, // Upstream status polling
+  STREAM_MAX_RECOVERIES: { type: 'integer', default: 3, min: 0, reloadable: true }, // Restarts of a dead stream before giving up
+
+  // History and recordings
+  HISTORY_REPLAY_LENGTH: { type: 'integer', default: 50, min: 0, reloadable: true }, // Messages sent to clients on connect
+  HISTORY_MAX_MESSAGES: { type: 'integer', default: 1000, min: 1 }, // Messages kept per session
+  HISTORY_MAX_GENERATIONS: { type: 'integer', default: 200, min: 1 }, // Generation runs kept per session
+  RECORDING_ENABLED: { type: 'boolean', default: false, reloadable: true }, // Write each generation's frames to disk
+  RECORDING_FORMAT: { type: 'enum', values: RECORDING_FORMATS, default: 'auto' }, // auto, mp4 (needs ffmpeg) or mjpeg
+  FFMPEG_PATH: { type: 'string', default: 'ffmpeg' },
+
+  // Moderation
+  PROMPT_MAX_LENGTH: { type: 'integer', default: 500, min: 1 },
+  MODERATION_CONFIG_PATH: { type: 'string', default: path.join(__dirname, 'moderation.json') }, // Blocklist and regex rules
+  MODERATION_API_URL: { type: 'url', default: null }, // Optional OpenAI-compatible /v1/moderations endpoint
+  MODERATION_API_KEY: { type: 'string', default: null, secret: true },
+  MODERATION_TIMEOUT: { type: 'integer', default: 5000, min: 100 },
+  MODERATION_FAIL_OPEN: { type: 'boolean', default: true }, // Allow prompts when the endpoint is down
+
+  // Rate limits
+  RATE_LIMIT_PROMPT_BURST: { type: 'integer', default: 5, min: 1, reloadable: true }, // Prompts accepted back to back
+  RATE_LIMIT_PROMPT_PER_MINUTE: { type: 'integer', default: 10, min: 1, reloadable: true },
+  RATE_LIMIT_SUBSCRIBE_BURST: { type: 'integer', default: 10, min: 1, reloadable: true }, // Frame subscriptions, SSE and relay sessions
+  RATE_LIMIT_SUBSCRIBE_PER_MINUTE: { type: 'integer', default: 30, min: 1, reloadable: true },
+  RATE_LIMIT_AUTH_BURST: { type: 'integer', default: 5, min: 1, reloadable: true }, // POST /api/auth/session, which tries an API key
+  RATE_LIMIT_AUTH_PER_MINUTE: { type: 'integer', default: 5, min: 1, reloadable: true },
+  TRUST_PROXY: { default: 0, parse: parseTrustProxy }, // Proxy hops to trust for client IPs
+
+  // Webhooks, more can be added at runtime through /api/webhooks
+  WEBHOOK_URLS: { type: 'list', default: null, reloadable: true }, // Receive WEBHOOK_EVENTS of every session
+  WEBHOOK_EVENTS: { type: 'list', default: 'generation', reloadable: true }, // Broadcast message types, or *
+  WEBHOOK_SECRET: { type: 'string', default: null, secret: true, reloadable: true }, // HMAC key, required with WEBHOOK_URLS
+  WEBHOOK_TIMEOUT: { type: 'integer', default: 5000, min: 100, reloadable: true },
+  WEBHOOK_MAX_ATTEMPTS: { type: 'integer', default: 5, min: 1, reloadable: true }, // Then the delivery goes to the dead-letter log
+  WEBHOOK_RETRY_DELAY: { type: 'integer', default: 1000, min: 100, reloadable: true }, // Doubled after every failed attempt
+  WEBHOOK_ALLOW_PRIVATE: { type: 'boolean', default: false }, // Deliver to loopback, private and link-local addresses, read at startup only
+  WEBHOOK_DEAD_LETTER_MAX_BYTES: { type: 'integer', default: 10485760, min: 1024, reloadable: true }, // Then the log is rotated to .1
+
+  // Access control
+  API_KEYS: { type: 'string', default: '', transform: parseApiKeys, secret: true }, // "key:role" pairs, auth is disabled without any
+  AUTH_ANONYMOUS_ROLE: { type: 'enum', values: [...ROLES, 'none'], default: 'viewer' }, // Role without credentials, 'none' to deny
+  AUTH_TOKEN_TTL: { type: 'integer', default: 12 * 60 * 60 * 1000, min: 60000 },
+  CORS_ORIGIN: { type: 'list', default: null } // Any origin when unset, WebSocket upgrades only from this server's pages
+};
+
+// Per-session overrides set by operators. null clears an override.
+export const SESSION_SETTINGS_SCHEMA = {
+  cycleInterval: { type: 'integer', min: 1000, max: 10 * 60 * 1000 }, // LLM_CYCLE_INTERVAL
+  quality: { type: 'enum', values: GENERATION_QUALITIES }, // GENERATION_QUALITY
+  duration: { type: 'integer', min: 1, max: 300 } // GENERATION_DURATION
+};
+
+// LLM bot steering. Direction and vocabulary condition the generated prompts,
+// manual mode turns the bot off so only people submit prompts.
+export const BOT_SETTINGS_SCHEMA = {
+  direction: { type: 'string', maxLength: 300 },
+  pinnedWords: { type: 'list', maxItems: 20, maxLength: 40 },
+  bannedWords: { type: 'list', maxItems: 50, maxLength: 40 },
+  mode: { type: 'enum', values: ['autonomous', 'manual'] }
+};
+
+// Parse { key: value } changes against a schema, all or none of them
+export function parseSettings(schema, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ConfigError([{ key: 'body', message: 'must be an object of settings' }]);
+  }
+
+  const errors = [];
+  const parsed = {};
+  for (const [key, raw] of Object.entries(changes)) {
+    const spec = schema[key];
+    if (!spec) {
+      errors.push({ key, message: 'unknown setting' });
+      continue;
+    }
+    try {
+      parsed[key] = parseValue(spec, raw);
+    } catch (error) {
+      errors.push({ key, message: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return parsed;
+}
+
+function parseValue(spec, raw) {
+  if (raw === null || raw === undefined) {
+    return spec.transform ? spec.transform(raw) : null;
+  }
+  const value = spec.parse ? spec.parse(raw) : TYPES[spec.type](raw, spec);
+  return spec.transform ? spec.transform(value) : value;
+}
+
+// Rules that involve more than one setting
+function validateCombination(values) {
+  const errors = [];
+  if (values.STREAM_DEAD_TIMEOUT <= values.STREAM_STALL_TIMEOUT) {
+    errors.push({ key: 'STREAM_DEAD_TIMEOUT', message: 'must be longer than STREAM_STALL_TIMEOUT' });
+  }
+  return errors;
+}
+
+// Values in JSON or YAML files are keyed like CONFIG, e.g. { "FRAME_RATE": 24 }
+export function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const data = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('must contain an object of settings');
+  }
+  return data;
+}
+
+// Settings come from, in increasing precedence: defaults, the optional
+// CONFIG_FILE and env vars. `values` is the CONFIG object the server reads,
+// so changes made at runtime are updated in place.
+export class ConfigManager {
+  constructor(options = {}) {
+    this.schema = options.schema || CONFIG_SCHEMA;
+    this.env = options.env || process.env;
+    this.filePath = options.filePath !== undefined ? options.filePath : (this.env.CONFIG_FILE || null);
+    this.values = {};
+    this.onChange = null; // (changedKeys) => void, after runtime changes are applied
+  }
+
+  // Throws a ConfigError listing every invalid setting
+  load() {
+    Object.assign(this.values, this.resolve());
+    return this.values;
+  }
+
+  resolve() {
+    const errors = [];
+    let fileValues = {};
+
+    if (this.filePath) {
+      try {
+        fileValues = readConfigFile(this.filePath);
+        logger.info(`Loaded config file ${this.filePath}`);
+      } catch (error) {
+        errors.push({ key: 'CONFIG_FILE', message: `${this.filePath}: ${error.message}` });
+      }
+    }
+
+    for (const key of Object.keys(fileValues)) {
+      if (!this.schema[key]) {
+        errors.push({ key, message: `unknown setting in ${this.filePath}` });
+      }
+    }
+
+    const values = {};
+    for (const [key, spec] of Object.entries(this.schema)) {
+      const envValue = this.env[spec.env || key];
+      let raw = spec.default;
+      let source = 'default';
+      if (fileValues[key] !== undefined && fileValues[key] !== null) {
+        raw = fileValues[key];
+        source = this.filePath;
+      }
+      // Empty env vars, as left by .env templates, count as unset
+      if (envValue !== undefined && envValue !== '') {
+        raw = envValue;
+        source = `env ${spec.env || key}`;
+      }
+
+      try {
+        values[key] = parseValue(spec, raw);
+      } catch (error) {
+        errors.push({ key, message: `${error.message} (from ${source})` });
+      }
+    }
+
+    if (errors.length === 0) {
+      errors.push(...validateCombination(values));
+    }
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+    return values;
+  }
+
+  // Re-read the config file and env vars. Reloadable settings are applied,
+  // others are reported back as needing a restart. Changes made through
+  // update() are replaced by the file and env values.
+  reload() {
+    const next = this.resolve();
+    const changed = [];
+    const restartRequired = [];
+
+    for (const key of Object.keys(this.schema)) {
+      if (isEqual(this.values[key], next[key])) continue;
+      if (this.schema[key].reloadable) {
+        this.values[key] = next[key];
+        changed.push(key);
+      } else {
+        restartRequired.push(key);
+      }
+    }
+
+    this.notify(changed);
+    return { changed, restartRequired };
+  }
+
+  // Apply { KEY: value } changes to reloadable settings, all or none of them
+  update(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ConfigError([{ key: 'body', message: 'must be an object of settings' }]);
+    }
+
+    const errors = [];
+    const reloadable = {};
+    for (const [key, value] of Object.entries(changes)) {
+      const spec = this.schema[key];
+      if (spec && !spec.reloadable) {
+        errors.push({ key, message: 'cannot be changed at runtime, restart the server instead' });
+      } else if (spec && value === null && spec.default !== null) {
+        errors.push({ key, message: 'cannot be null' });
+      } else {
+        reloadable[key] = value;
+      }
+    }
+
+    let parsed = {};
+    try {
+      parsed = parseSettings(this.schema, reloadable);
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      errors.push(...error.errors);
+    }
+
+    if (errors.length === 0) {
+      errors.push(...validateCombination({ ...this.values, ...parsed }));
+    }
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+
+    const changed = Object.keys(parsed).filter((key) => !isEqual(this.values[key], parsed[key]));
+    changed.forEach((key) => { this.values[key] = parsed[key]; });
+    this.notify(changed);
+    return { changed };
+  }
+
+  notify(changed) {
+    if (changed.length > 0 && this.onChange) {
+      this.onChange(changed);
+    }
+  }
+
+  // Current settings without secrets, for the admin API
+  describe() {
+    const settings = {};
+    for (const [key, spec] of Object.entries(this.schema)) {
+      const value = this.values[key];
+      settings[key] = {
+        value: spec.secret ? (hasValue(value) ? '[redacted]' : null) : value,
+        reloadable: !!spec.reloadable
+      };
+    }
+    return { file: this.filePath, settings };
+  }
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,52 @@
+// Binary layout of frame messages sent over the WebSocket (big-endian):
+//
+//   uint8    version
+//   uint8    streamId byte length (N)
+//   N bytes  streamId (UTF-8)
+//   uint32   frameNumber
+//   float64  timestamp (ms since epoch)
+//   uint16   width
+//   uint16   height
+//   ...      JPEG image data
+export const FRAME_MESSAGE_VERSION = 1;
+
+export function encodeFrameMessage({ streamId, frameNumber, timestamp, width, height, data }) {
+  const streamIdBytes = Buffer.from(String(streamId || ''), 'utf8').subarray(0, 255);
+  const headerLength = 2 + streamIdBytes.length + 4 + 8 + 2 + 2;
+  const header = Buffer.alloc(headerLength);
+
+  let offset = header.writeUInt8(FRAME_MESSAGE_VERSION, 0);
+  offset = header.writeUInt8(streamIdBytes.length, offset);
+  offset += streamIdBytes.copy(header, offset);
+  offset = header.writeUInt32BE(frameNumber >>> 0, offset);
+  offset = header.writeDoubleBE(timestamp, offset);
+  offset = header.writeUInt16BE(width, offset);
+  header.writeUInt16BE(height, offset);
+
+  return Buffer.concat([header, data]);
+}
+
+export function decodeFrameMessage(buffer) {
+  const version = buffer.readUInt8(0);
+  if (version !== FRAME_MESSAGE_VERSION) {
+    throw new Error(`Unsupported frame message version: ${version}`);
+  }
+
+  const streamIdLength = buffer.readUInt8(1);
+  let offset = 2;
+  const streamId = buffer.toString('utf8', offset, offset + streamIdLength);
+  offset += streamIdLength;
+  const frameNumber = buffer.readUInt32BE(offset);
+  const timestamp = buffer.readDoubleBE(offset + 4);
+  const width = buffer.readUInt16BE(offset + 12);
+  const height = buffer.readUInt16BE(offset + 14);
+
+  return {
+    streamId,
+    frameNumber,
+    timestamp,
+    width,
+    height,
+    data: buffer.subarray(offset + 16)
+  };
+}
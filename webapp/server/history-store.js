@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+
+// How a generation run ended
+export const GENERATION_OUTCOMES = ['completed', 'stopped', 'failed', 'disconnected', 'timeout'];
+
+// Append-only JSONL store for chat messages and generation runs. Messages are
+// written once. Generation runs are rewritten as a full snapshot on every
+// change and the last line for an id wins when loading. Each session keeps
+// its newest maxMessages messages and maxGenerations runs, and a file is
+// compacted to the records still kept once it holds twice as many lines.
+export class HistoryStore {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.messagesPath = dir ? path.join(dir, 'messages.jsonl') : null;
+    this.generationsPath = dir ? path.join(dir, 'generations.jsonl') : null;
+    this.maxMessages = options.maxMessages || 1000;
+    this.maxGenerations = options.maxGenerations || 200;
+    this.messages = new Map(); // Session id -> messages, oldest first
+    this.messageCount = 0;
+    this.generations = new Map(); // Generation id -> record, in start order
+    this.generationCounts = new Map(); // Session id -> number of runs kept
+    this.lineCounts = { messages: 0, generations: 0 }; // Lines in each file, kept or not
+    this.nextSeq = 1;
+    this.load();
+  }
+
+  load() {
+    const messageLines = this.readLines(this.messagesPath);
+    for (const message of messageLines) {
+      this.keepMessage(message);
+      this.nextSeq = Math.max(this.nextSeq, message.seq + 1);
+    }
+
+    const generationLines = this.readLines(this.generationsPath);
+    for (const generation of generationLines) {
+      this.keepGeneration(generation);
+    }
+    this.lineCounts = { messages: messageLines.length, generations: generationLines.length };
+
+    // Runs that were still going when the server stopped will never finish
+    for (const generation of this.generations.values()) {
+      if (!generation.endedAt) {
+        this.saveGeneration({
+          ...generation,
+          endedAt: generation.startedAt,
+          outcome: 'disconnected',
+          error: 'Server restarted during generation'
+        });
+      }
+    }
+
+    if (this.messageCount || this.generations.size) {
+      logger.info(`Loaded ${this.messageCount} message(s) and ${this.generations.size} generation(s) from ${this.dir}`);
+    }
+    this.compactIfNeeded();
+  }
+
+  readLines(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const records = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line behind
+        logger.warn(`Skipping malformed history record at ${filePath}:${index + 1}`);
+      }
+    });
+    return records;
+  }
+
+  append(filePath, record) {
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error(`Failed to append history record to ${filePath}:`, error);
+    }
+  }
+
+  // Replace a file with the given records, one per line
+  rewrite(filePath, records) {
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, records.map((record) => JSON.stringify(record) + '\n').join(''));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.error(`Failed to compact history file ${filePath}:`, error);
+    }
+  }
+
+  // Drop the lines of trimmed messages and superseded generation snapshots
+  compactIfNeeded() {
+    if (this.lineCounts.messages > Math.max(2 * this.messageCount, this.maxMessages)) {
+      const messages = [...this.messages.values()].flat().sort((a, b) => a.seq - b.seq);
+      this.rewrite(this.messagesPath, messages);
+      this.lineCounts.messages = messages.length;
+    }
+    if (this.lineCounts.generations > Math.max(2 * this.generations.size, this.maxGenerations)) {
+      this.rewrite(this.generationsPath, [...this.generations.values()]);
+      this.lineCounts.generations = this.generations.size;
+    }
+  }
+
+  // Add a message to its session, dropping the oldest ones over the cap
+  keepMessage(message) {
+    let messages = this.messages.get(message.sessionId);
+    if (!messages) {
+      messages = [];
+      this.messages.set(message.sessionId, messages);
+    }
+    messages.push(message);
+    this.messageCount++;
+
+    if (messages.length > this.maxMessages) {
+      const dropped = messages.length - this.maxMessages;
+      messages.splice(0, dropped);
+      this.messageCount -= dropped;
+    }
+  }
+
+  // Add or replace a run, dropping the session's oldest run over the cap
+  keepGeneration(generation) {
+    if (this.generations.has(generation.id)) {
+      this.generations.set(generation.id, generation);
+      return;
+    }
+
+    this.generations.set(generation.id, generation);
+    const count = (this.generationCounts.get(generation.sessionId) || 0) + 1;
+    this.generationCounts.set(generation.sessionId, count);
+    if (count > this.maxGenerations) {
+      for (const [id, oldest] of this.generations) {
+        if (oldest.sessionId === generation.sessionId) {
+          this.generations.delete(id);
+          break;
+        }
+      }
+      this.generationCounts.set(generation.sessionId, count - 1);
+    }
+  }
+
+  addMessage(sessionId, message) {
+    const record = {
+      seq: this.nextSeq++,
+      id: message.id || uuidv4(),
+      sessionId,
+      type: message.type,
+      content: message.content,
+      timestamp: message.timestamp || Date.now()
+    };
+    this.keepMessage(record);
+    this.append(this.messagesPath, record);
+    this.lineCounts.messages++;
+    this.compactIfNeeded();
+    return record;
+  }
+
+  // Page backwards through a session's messages. Returns up to `limit`
+  // messages older than the `before` sequence number, oldest first.
+  getMessages(sessionId, { before = null, limit = 50 } = {}) {
+    const messages = this.messages.get(sessionId) || [];
+
+    // Messages are in sequence order, so find the end of the page by bisection
+    let end = messages.length;
+    if (before !== null) {
+      let low = 0;
+      while (low < end) {
+        const middle = (low + end) >> 1;
+        if (messages[middle].seq < before) {
+          low = middle + 1;
+        } else {
+          end = middle;
+        }
+      }
+    }
+
+    const start = Math.max(0, end - limit);
+    const items = messages.slice(start, end);
+    const hasMore = start > 0 && items.length > 0;
+    return {
+      items,
+      hasMore,
+      nextBefore: hasMore ? items[0].seq : null
+    };
+  }
+
+  countMessages(sessionId) {
+    return this.messages.get(sessionId)?.length || 0;
+  }
+
+  startGeneration({ sessionId, prompt }) {
+    return this.saveGeneration({
+      id: uuidv4(),
+      sessionId,
+      prompt,
+      prompts: [{ prompt, timestamp: Date.now() }],
+      streamId: null,
+      startedAt: Date.now(),
+      endedAt: null,
+      frameCount: 0,
+      outcome: null,
+      error: null
+    });
+  }
+
+  updateGeneration(id, changes) {
+    const generation = this.generations.get(id);
+    if (!generation) {
+      return null;
+    }
+    return this.saveGeneration({ ...generation, ...changes });
+  }
+
+  // Record a live prompt change on a running generation
+  addGenerationPrompt(id, prompt) {
+    const generation = this.generations.get(id);
+    if (!generation) {
+      return null;
+    }
+    return this.saveGeneration({
+      ...generation,
+      prompts: [...generation.prompts, { prompt, timestamp: Date.now() }]
+    });
+  }
+
+  endGeneration(id, { outcome, frameCount, error = null }) {
+    if (!GENERATION_OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown generation outcome: ${outcome}`);
+    }
+
+    const generation = this.generations.get(id);
+    if (!generation || generation.endedAt) {
+      return null;
+    }
+    return this.saveGeneration({
+      ...generation,
+      endedAt: Date.now(),
+      frameCount: frameCount ?? generation.frameCount,
+      outcome,
+      error
+    });
+  }
+
+  saveGeneration(generation) {
+    this.keepGeneration(generation);
+    this.append(this.generationsPath, generation);
+    this.lineCounts.generations++;
+    this.compactIfNeeded();
+    return generation;
+  }
+
+  getGeneration(id) {
+    return this.generations.get(id) || null;
+  }
+
+  // Newest first, paged with an offset since runs are few compared to messages
+  getGenerations(sessionId, { offset = 0, limit = 20 } = {}) {
+    const matching = [...this.generations.values()]
+      .filter((generation) => !sessionId || generation.sessionId === sessionId)
+      .reverse();
+
+    return {
+      items: matching.slice(offset, offset + limit),
+      total: matching.length,
+      offset,
+      limit
+    };
+  }
+}
@@ -0,0 +1,127 @@
+import fetch from 'node-fetch';
+import { logger } from './logger.js';
+
+// Minimal client for OpenAI-compatible chat completion endpoints
+export class LLMClient {
+  constructor(apiBase, options = {}) {
+    this.apiBase = apiBase.replace(/\/+$/, '');
+    // Defaults come last so options given as undefined do not override them
+    this.options = {
+      ...options,
+      apiKey: options.apiKey || null,
+      model: options.model || 'gpt-4o-mini',
+      temperature: options.temperature ?? 0.9,
+      maxTokens: options.maxTokens || 200,
+      timeout: options.timeout || 15000
+    };
+  }
+
+  get completionsUrl() {
+    return `${this.apiBase}/v1/chat/completions`;
+  }
+
+  // Stream a chat completion, calling onToken for every content delta.
+  // Resolves with the full completion text once the stream ends.
+  async streamChat(messages, { onToken } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      };
+      if (this.options.apiKey) {
+        headers['Authorization'] = `Bearer ${this.options.apiKey}`;
+      }
+
+      const response = await fetch(this.completionsUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.options.model,
+          messages,
+          temperature: this.options.temperature,
+          max_tokens: this.options.maxTokens,
+          stream: true
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`LLM API responded with status: ${response.status}`);
+      }
+
+      // Servers that ignore `stream: true` reply with a plain JSON body
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes('text/event-stream')) {
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content || '';
+        if (content && onToken) {
+          onToken(content);
+        }
+        return content.trim();
+      }
+
+      let content = '';
+      let buffer = '';
+      // Multi-byte characters can be split across network chunks
+      const decoder = new TextDecoder();
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const token = this.parseStreamLine(line);
+          if (token === null) continue;
+          content += token;
+          if (onToken) {
+            onToken(token);
+          }
+        }
+      }
+
+      buffer += decoder.decode();
+      const token = this.parseStreamLine(buffer);
+      if (token) {
+        content += token;
+        if (onToken) {
+          onToken(token);
+        }
+      }
+
+      return content.trim();
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`LLM request timed out after ${this.options.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Returns the content delta of one SSE line, or null if it carries none
+  parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) {
+      return null;
+    }
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(payload);
+      return data.choices?.[0]?.delta?.content ?? null;
+    } catch (error) {
+      logger.warn(`Ignoring malformed LLM stream chunk: ${payload}`);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,25 @@
+import path from 'path';
+import winston from 'winston';
+
+// One logger for the whole server. It logs to the console until the server
+// calls configureLogger with the configured level and log directory
+export const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'krea-realtime-server' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ],
+});
+
+export function configureLogger({ level, filePath }) {
+  logger.level = level;
+  logger.add(new winston.transports.File({ filename: path.join(filePath, 'error.log'), level: 'error' }));
+  logger.add(new winston.transports.File({ filename: path.join(filePath, 'combined.log') }));
+}
@@ -0,0 +1,224 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // Label key -> { labels, ... }
+  }
+
+  getSeries(labels, create) {
+    const key = this.labelNames.map((name) => labels[name] ?? '').join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name) => { seriesLabels[name] = labels[name] ?? ''; });
+      series = { labels: seriesLabels, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  renderHeader() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this.renderHeader();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+// Gauges are either set directly or, with a collect callback, read at scrape
+// time. collect(gauge) calls gauge.set() for every series it reports.
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    if (this.collect) {
+      // Series of things that have gone away should not linger
+      this.reset();
+      this.collect(this);
+    }
+
+    const lines = this.renderHeader();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns a function that observes the seconds elapsed since this call.
+  // Labels passed to it are merged over the ones given here.
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.renderHeader();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Events per second over a sliding window, for gauges like frame rates that
+// are useful without a PromQL rate() over the matching counter
+export class RateMeter {
+  constructor(windowMs = 5000) {
+    this.windowMs = windowMs;
+    this.slots = []; // [second, count] pairs, oldest first
+  }
+
+  mark(count = 1) {
+    const second = Math.floor(Date.now() / 1000);
+    const last = this.slots[this.slots.length - 1];
+    if (last && last[0] === second) {
+      last[1] += count;
+    } else {
+      this.slots.push([second, count]);
+    }
+    this.prune(second);
+  }
+
+  prune(second) {
+    const oldest = second - Math.ceil(this.windowMs / 1000);
+    while (this.slots.length && this.slots[0][0] <= oldest) {
+      this.slots.shift();
+    }
+  }
+
+  rate() {
+    this.prune(Math.floor(Date.now() / 1000));
+    const total = this.slots.reduce((sum, [, count]) => sum + count, 0);
+    return total / (this.windowMs / 1000);
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  get contentType() {
+    return 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
@@ -0,0 +1,267 @@
+import fs from 'fs';
+import fetch from 'node-fetch';
+import { logger } from './logger.js';
+
+// Rejection raised by a moderation stage. Carries a machine readable code and
+// the stage that rejected the prompt so clients can tell rejections apart.
+export class ModerationError extends Error {
+  constructor(message, { code, stage, details = null, status = 422 } = {}) {
+    super(message);
+    this.name = 'ModerationError';
+    this.code = code;
+    this.stage = stage;
+    this.details = details;
+    this.status = status;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      stage: this.stage,
+      details: this.details
+    };
+  }
+}
+
+// Zero-width and bidi control characters that can hide text from the blocklist
+const INVISIBLE_CHARACTERS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F]/g;
+
+// Unicode NFKC folds lookalike characters (full-width letters, ligatures) into
+// their plain forms, then invisible and control characters are removed
+export function normalizeStage({ maxLength = 500 } = {}) {
+  return {
+    name: 'normalize',
+    maxLength,
+    check(prompt) {
+      if (typeof prompt !== 'string') {
+        throw new ModerationError('Prompt must be a string', { code: 'invalid_prompt', stage: 'normalize' });
+      }
+
+      const normalized = prompt
+        .normalize('NFKC')
+        .replace(INVISIBLE_CHARACTERS, '')
+        .replace(CONTROL_CHARACTERS, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (!normalized) {
+        throw new ModerationError('Prompt is empty', { code: 'empty_prompt', stage: 'normalize' });
+      }
+      if (normalized.length > maxLength) {
+        throw new ModerationError(`Prompt is longer than ${maxLength} characters`, {
+          code: 'prompt_too_long',
+          stage: 'normalize',
+          details: { length: normalized.length, maxLength }
+        });
+      }
+      return normalized;
+    }
+  };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rule regex, throwing for flags a shared regex cannot use: g and y make
+// test() resume from the previous match, so prompts would slip through
+function compileRule(rule, index) {
+  const flags = rule.flags ?? 'i';
+  if (/[gy]/.test(flags)) {
+    throw new Error(`rules[${index}].flags: the g and y flags are not supported`);
+  }
+  try {
+    return new RegExp(rule.pattern, flags);
+  } catch (error) {
+    throw new Error(`rules[${index}]: ${error.message}`);
+  }
+}
+
+// Blocklist terms match whole words case-insensitively. Rules are regular
+// expressions given as { pattern, flags, reason }.
+export function blocklistStage({ blocklist = [], rules = [] } = {}) {
+  const terms = blocklist.map((term) => ({
+    term,
+    regex: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'iu')
+  }));
+  const patterns = rules.map((rule, index) => ({
+    reason: rule.reason || 'Prompt matches a blocked pattern',
+    regex: compileRule(rule, index)
+  }));
+
+  return {
+    name: 'blocklist',
+    check(prompt) {
+      const blocked = terms.find(({ regex }) => regex.test(prompt));
+      if (blocked) {
+        throw new ModerationError('Prompt contains a blocked term', {
+          code: 'blocked_term',
+          stage: 'blocklist',
+          details: { term: blocked.term }
+        });
+      }
+
+      const matched = patterns.find(({ regex }) => regex.test(prompt));
+      if (matched) {
+        throw new ModerationError(matched.reason, {
+          code: 'blocked_pattern',
+          stage: 'blocklist',
+          details: { pattern: matched.regex.source }
+        });
+      }
+      return prompt;
+    }
+  };
+}
+
+// OpenAI-compatible moderation endpoint (POST { input } -> { results: [{ flagged, categories }] }).
+// When the endpoint is unreachable prompts pass unless failOpen is false.
+export function externalStage({ url, apiKey = null, timeout = 5000, failOpen = true }) {
+  return {
+    name: 'external',
+    async check(prompt) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let result;
+
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+          headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ input: prompt }),
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(`Moderation API responded with status: ${response.status}`);
+        }
+        result = (await response.json()).results?.[0];
+
+      } catch (error) {
+        const reason = error.name === 'AbortError' ? `timed out after ${timeout}ms` : error.message;
+        if (failOpen) {
+          logger.warn(`Moderation API unavailable, allowing prompt: ${reason}`);
+          return prompt;
+        }
+        throw new ModerationError('Prompt could not be moderated', {
+          code: 'moderation_unavailable',
+          stage: 'external',
+          status: 503,
+          details: { reason }
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (result?.flagged) {
+        const categories = Object.entries(result.categories || {})
+          .filter(([, flagged]) => flagged)
+          .map(([category]) => category);
+        throw new ModerationError('Prompt was flagged by content moderation', {
+          code: 'flagged',
+          stage: 'external',
+          details: { categories }
+        });
+      }
+      return prompt;
+    }
+  };
+}
+
+// Runs prompts through the stages in order. Each stage returns the (possibly
+// rewritten) prompt or throws a ModerationError.
+export class ModerationPipeline {
+  constructor(stages = []) {
+    this.stages = [...stages];
+  }
+
+  // Longest prompt the pipeline accepts, so forms can use the same limit
+  get maxLength() {
+    return this.stages.find((stage) => stage.maxLength)?.maxLength ?? null;
+  }
+
+  use(stage) {
+    this.stages.push(stage);
+    return this;
+  }
+
+  async check(prompt, context = {}) {
+    let current = prompt;
+    for (const stage of this.stages) {
+      try {
+        current = await stage.check(current, context);
+      } catch (error) {
+        if (!(error instanceof ModerationError)) {
+          throw error;
+        }
+        logger.warn(`Prompt rejected by ${error.stage} (${error.code}) from ${context.source || 'unknown'}: ${String(prompt).slice(0, 200)}`);
+        throw error;
+      }
+    }
+    return current;
+  }
+}
+
+// Throws an Error naming the first invalid setting of a moderation config
+export function validateModerationConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('must be an object');
+  }
+  if (config.maxLength !== undefined && !(Number.isInteger(config.maxLength) && config.maxLength > 0)) {
+    throw new Error('maxLength: must be a positive integer');
+  }
+  if (config.blocklist !== undefined && !(Array.isArray(config.blocklist) && config.blocklist.every((term) => typeof term === 'string' && term))) {
+    throw new Error('blocklist: must be a list of terms');
+  }
+  if (config.rules !== undefined && !Array.isArray(config.rules)) {
+    throw new Error('rules: must be a list');
+  }
+  (config.rules || []).forEach((rule, index) => {
+    if (typeof rule?.pattern !== 'string') {
+      throw new Error(`rules[${index}].pattern: must be a string`);
+    }
+    compileRule(rule, index);
+  });
+  return config;
+}
+
+// Moderation config file: { "maxLength": 500, "blocklist": ["term"],
+// "rules": [{ "pattern": "regex", "flags": "i", "reason": "message" }] }.
+// Throws for files that are not valid JSON or not a valid config.
+export function loadModerationConfig(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return {};
+  }
+
+  let config;
+  try {
+    config = validateModerationConfig(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+  logger.info(`Loaded moderation config from ${filePath}: ${config.blocklist?.length || 0} term(s), ${config.rules?.length || 0} rule(s)`);
+  return config;
+}
+
+export function createModerationPipeline({ config = {}, maxLength, externalUrl, externalApiKey, externalTimeout, failOpen } = {}) {
+  const pipeline = new ModerationPipeline([
+    normalizeStage({ maxLength: config.maxLength || maxLength }),
+    blocklistStage({ blocklist: config.blocklist, rules: config.rules })
+  ]);
+
+  if (externalUrl) {
+    pipeline.use(externalStage({
+      url: externalUrl,
+      apiKey: externalApiKey,
+      timeout: externalTimeout,
+      failOpen
+    }));
+  }
+  return pipeline;
+}
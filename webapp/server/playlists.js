@@ -0,0 +1,426 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+
+const MAX_ITEMS = 500;
+const MIN_DURATION = 1000;
+const MAX_DURATION = 2 ** 31 - 1; // Longer setTimeout delays fire right away
+
+export class PlaylistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlaylistError';
+    this.status = status;
+  }
+}
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } // 0 and 7 are Sunday
+];
+
+function parseCronValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = nameIndex !== -1 ? nameIndex + field.min : (/^\d+$/.test(value) ? parseInt(value) : NaN);
+  if (!(number >= field.min && number <= field.max)) {
+    throw new PlaylistError(`Invalid ${field.name} in cron expression: ${value}`);
+  }
+  return number;
+}
+
+function parseCronField(part, field) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const match = /^(\*|\w+(?:-\w+)?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new PlaylistError(`Invalid ${field.name} in cron expression: ${item}`);
+    }
+
+    let [start, end] = [field.min, field.max];
+    if (match[1] !== '*') {
+      const bounds = match[1].split('-').map((value) => parseCronValue(value, field));
+      start = bounds[0];
+      // "5/15" steps from 5 to the end of the range
+      end = bounds[1] ?? (match[2] ? field.max : start);
+    }
+    const step = match[2] ? parseInt(match[2]) : 1;
+    if (start > end || step < 1) {
+      throw new PlaylistError(`Invalid ${field.name} range in cron expression: ${item}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  // Like cron, a field starting with * does not restrict the day
+  return { values, unrestricted: part.startsWith('*') };
+}
+
+// Five-field cron expressions, "minute hour day-of-month month day-of-week",
+// with *, lists, ranges, steps and three-letter month and weekday names.
+// Throws a PlaylistError for invalid expressions.
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new PlaylistError(`Cron expressions need five fields (minute hour day month weekday): ${expression}`);
+  }
+
+  const fields = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (fields[4].values.has(7)) {
+    fields[4].values.add(0);
+  }
+  return fields;
+}
+
+// Whether the minute of date, in server local time, matches the expression
+export function cronMatches(expression, date = new Date()) {
+  const [minute, hour, day, month, weekday] = parseCron(expression);
+  if (!minute.values.has(date.getMinutes()) || !hour.values.has(date.getHours()) || !month.values.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  // When both day fields are restricted either one may match
+  const dayMatches = day.values.has(date.getDate());
+  const weekdayMatches = weekday.values.has(date.getDay());
+  if (!day.unrestricted && !weekday.unrestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+function validateDuration(value, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < MIN_DURATION || value > MAX_DURATION) {
+    throw new PlaylistError(`${label} must be a whole number of milliseconds from ${MIN_DURATION} to ${MAX_DURATION}`);
+  }
+  return value;
+}
+
+// Playlists as uploaded, either parsed JSON or JSON/YAML text. Returns the
+// normalized fields, throws a PlaylistError for invalid ones.
+export function parsePlaylist(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      // YAML is a superset of JSON, so this reads both
+      data = YAML.parse(input);
+    } catch (error) {
+      throw new PlaylistError(`Playlist is neither valid JSON nor YAML: ${error.message}`);
+    }
+  }
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new PlaylistError('Playlist must be an object with a name and items');
+  }
+
+  const { name, description = null, items, shuffle = false, loop = true, duration, schedule = null, session = null } = data;
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new PlaylistError('name must be a string of 1 to 100 characters');
+  }
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_ITEMS) {
+    throw new PlaylistError(`items must list 1 to ${MAX_ITEMS} prompts`);
+  }
+  if (typeof shuffle !== 'boolean' || typeof loop !== 'boolean') {
+    throw new PlaylistError('shuffle and loop must be true or false');
+  }
+  if (schedule !== null) {
+    if (typeof schedule !== 'string') {
+      throw new PlaylistError('schedule must be a cron expression');
+    }
+    parseCron(schedule);
+  }
+  if (session !== null && (typeof session !== 'string' || !session)) {
+    throw new PlaylistError('session must be a session id');
+  }
+
+  return {
+    name: name.trim(),
+    description: description ? String(description).slice(0, 500) : null,
+    shuffle,
+    loop,
+    duration: validateDuration(duration, 'duration'),
+    schedule,
+    session,
+    // Items are prompts, or { prompt, duration } to override the playlist's duration
+    items: items.map((item, index) => {
+      const { prompt, duration: itemDuration } = typeof item === 'string' ? { prompt: item } : (item || {});
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new PlaylistError(`items[${index}] needs a prompt`);
+      }
+      return { prompt: prompt.trim(), duration: validateDuration(itemDuration, `items[${index}].duration`) };
+    })
+  };
+}
+
+// Uploaded playlists and the playlist each session was playing, persisted to
+// <dir>/playlists.json so playback picks up again after a restart
+export class PlaylistStore {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.options = {
+      getMinDuration: () => MIN_DURATION, // Shortest time the prompt queue shows a prompt
+      ...options
+    };
+    this.filePath = dir ? path.join(dir, 'playlists.json') : null;
+    this.playlists = new Map(); // Id -> playlist, in upload order
+    this.active = {}; // Session id -> { playlistId, order, position, startedBy, startedAt }
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (data.playlists || []).forEach((playlist) => this.playlists.set(playlist.id, playlist));
+      this.active = data.active || {};
+      logger.info(`Loaded ${this.playlists.size} playlist(s) from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Failed to load playlists from ${this.filePath}:`, error);
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ playlists: this.list(), active: this.active }, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error(`Failed to persist playlists to ${this.filePath}:`, error);
+    }
+  }
+
+  // Throws a PlaylistError for durations the prompt queue cannot honor
+  validate(fields) {
+    const minDuration = this.options.getMinDuration();
+    const durations = [['duration', fields.duration], ...fields.items.map((item, index) => [`items[${index}].duration`, item.duration])];
+    const tooShort = durations.find(([, duration]) => duration !== null && duration < minDuration);
+    if (tooShort) {
+      throw new PlaylistError(`${tooShort[0]} must be at least ${minDuration}ms, the minimum time a prompt is shown`);
+    }
+  }
+
+  // fields as returned by parsePlaylist()
+  create(fields) {
+    this.validate(fields);
+    const playlist = { id: uuidv4(), ...fields, createdAt: Date.now() };
+    this.playlists.set(playlist.id, playlist);
+    this.persist();
+    logger.info(`Playlist ${playlist.id} created: ${playlist.name} (${playlist.items.length} items)`);
+    return playlist;
+  }
+
+  get(id) {
+    return this.playlists.get(id) || null;
+  }
+
+  list() {
+    return [...this.playlists.values()];
+  }
+
+  delete(id) {
+    if (!this.playlists.delete(id)) {
+      return false;
+    }
+    this.persist();
+    logger.info(`Playlist ${id} deleted`);
+    return true;
+  }
+
+  // Scheduled playlists whose cron expression matches the minute of date
+  getScheduled(date) {
+    return this.list().filter((playlist) => playlist.schedule && cronMatches(playlist.schedule, date));
+  }
+
+  getActive(sessionId) {
+    return this.active[sessionId] || null;
+  }
+
+  // state is null once the session stops playing
+  setActive(sessionId, state) {
+    if (state) {
+      this.active[sessionId] = state;
+    } else if (this.active[sessionId]) {
+      delete this.active[sessionId];
+    } else {
+      return;
+    }
+    this.persist();
+  }
+}
+
+function shuffled(indices) {
+  const result = [...indices];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Plays one playlist at a time for a session, holding each item for its
+// duration. It only keeps time: onItem is called with each item to submit.
+export class PlaylistPlayer {
+  constructor(options = {}) {
+    this.options = {
+      getDefaultDuration: () => 7000, // For items and playlists without a duration
+      getMinDuration: () => MIN_DURATION, // Shorter durations are stretched to this
+      ...options
+    };
+    this.playlist = null;
+    this.order = []; // Item indices in play order
+    this.position = 0; // Index into order
+    this.startedBy = null; // manual or schedule
+    this.startedAt = null;
+    this.itemStartedAt = null;
+    this.itemEndsAt = null;
+    this.timer = null;
+
+    this.onItem = null; // (item, status) => void
+    this.onStop = null; // ({ playlist, reason }) => void
+  }
+
+  get active() {
+    return !!this.playlist;
+  }
+
+  // order and position continue a run restored from PlaylistStore
+  start(playlist, { startedBy = 'manual', startedAt = Date.now(), order = null, position = 0 } = {}) {
+    this.clearTimer();
+    this.playlist = playlist;
+    this.startedBy = startedBy;
+    this.startedAt = startedAt;
+    this.order = order && order.length === playlist.items.length ? order : this.createOrder();
+    this.position = Math.max(0, Math.min(position, this.order.length - 1));
+    logger.info(`Playlist ${playlist.name} started (${startedBy})`);
+    this.play();
+    return this.getStatus();
+  }
+
+  createOrder(previousIndex = null) {
+    const indices = this.playlist.items.map((item, index) => index);
+    if (!this.playlist.shuffle) {
+      return indices;
+    }
+
+    const order = shuffled(indices);
+    // Do not repeat the last item of the previous round
+    if (order.length > 1 && order[0] === previousIndex) {
+      [order[0], order[order.length - 1]] = [order[order.length - 1], order[0]];
+    }
+    return order;
+  }
+
+  get currentItem() {
+    return this.playlist ? this.playlist.items[this.order[this.position]] : null;
+  }
+
+  play() {
+    const item = this.currentItem;
+    const duration = Math.max(
+      item.duration || this.playlist.duration || this.options.getDefaultDuration(),
+      this.options.getMinDuration()
+    );
+    this.itemStartedAt = Date.now();
+    this.itemEndsAt = this.itemStartedAt + duration;
+    this.timer = setTimeout(() => this.next(), duration);
+
+    if (this.onItem) {
+      this.onItem(item, this.getStatus());
+    }
+  }
+
+  // Skip to the next item, returns the status or null when the playlist ended
+  next() {
+    if (!this.playlist) {
+      return null;
+    }
+
+    this.clearTimer();
+    if (this.position < this.order.length - 1) {
+      this.position++;
+    } else if (this.playlist.loop) {
+      this.order = this.createOrder(this.order[this.position]);
+      this.position = 0;
+    } else {
+      this.stop('finished');
+      return null;
+    }
+    this.play();
+    return this.getStatus();
+  }
+
+  stop(reason = 'stopped') {
+    if (!this.playlist) {
+      return false;
+    }
+
+    const playlist = this.playlist;
+    this.clearTimer();
+    this.playlist = null;
+    this.order = [];
+    this.position = 0;
+    logger.info(`Playlist ${playlist.name} ${reason}`);
+
+    if (this.onStop) {
+      this.onStop({ playlist, reason });
+    }
+    return true;
+  }
+
+  // Stop the timer but keep the run as it is, for shutting down
+  suspend() {
+    this.clearTimer();
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // What PlaylistStore.setActive() needs to continue the run later
+  getState() {
+    return this.playlist ? {
+      playlistId: this.playlist.id,
+      order: this.order,
+      position: this.position,
+      startedBy: this.startedBy,
+      startedAt: this.startedAt
+    } : null;
+  }
+
+  getStatus() {
+    if (!this.playlist) {
+      return null;
+    }
+
+    const item = this.currentItem;
+    return {
+      playlistId: this.playlist.id,
+      name: this.playlist.name,
+      shuffle: this.playlist.shuffle,
+      loop: this.playlist.loop,
+      startedBy: this.startedBy,
+      startedAt: this.startedAt,
+      position: this.position,
+      total: this.order.length,
+      item: { prompt: item.prompt, duration: this.itemEndsAt - this.itemStartedAt },
+      itemStartedAt: this.itemStartedAt,
+      itemEndsAt: this.itemEndsAt
+    };
+  }
+}
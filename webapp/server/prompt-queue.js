@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+
+// Manual prompts are queued ahead of everything the LLM bot and playlists produce
+export const PROMPT_SOURCES = ['manual', 'llm', 'playlist'];
+
+export class PromptQueueError extends Error {
+  constructor(message, status = 429) {
+    super(message);
+    this.name = 'PromptQueueError';
+    this.status = status;
+  }
+}
+
+function normalizePrompt(prompt) {
+  return prompt.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Ordered prompt queue persisted to a JSON file after every change
+export class PromptQueue {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxSize = options.maxSize || 50;
+    this.items = [];
+    this.onChange = null;
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.items = Array.isArray(data.items) ? data.items : [];
+      logger.info(`Loaded ${this.items.length} queued prompt(s) from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Failed to load prompt queue from ${this.filePath}:`, error);
+      this.items = [];
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ items: this.items }, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error(`Failed to persist prompt queue to ${this.filePath}:`, error);
+    }
+  }
+
+  changed() {
+    this.persist();
+    if (this.onChange) {
+      this.onChange(this.list());
+    }
+  }
+
+  // Returns { item, duplicate }. A duplicate of a queued prompt is not added
+  // again, but a manual duplicate promotes a queued LLM prompt. Throws a
+  // PromptQueueError when the queue is full of manual prompts.
+  enqueue(prompt, source = 'manual') {
+    if (!PROMPT_SOURCES.includes(source)) {
+      throw new Error(`Unknown prompt source: ${source}`);
+    }
+
+    const key = normalizePrompt(prompt);
+    const existing = this.items.find((item) => normalizePrompt(item.prompt) === key);
+    if (existing) {
+      if (source === 'manual' && existing.source !== 'manual') {
+        this.items.splice(this.items.indexOf(existing), 1);
+        existing.source = 'manual';
+        this.insert(existing);
+        this.changed();
+      }
+      return { item: existing, duplicate: true };
+    }
+
+    // At capacity, make room by dropping the oldest LLM prompt, then the
+    // oldest playlist prompt. Manual prompts are never dropped.
+    while (this.items.length >= this.maxSize) {
+      const index = ['llm', 'playlist']
+        .map((droppable) => this.items.findIndex((queued) => queued.source === droppable))
+        .find((candidate) => candidate !== -1);
+      if (index === undefined) {
+        throw new PromptQueueError(`Prompt queue is full with ${this.items.length} manual prompt(s)`);
+      }
+      const [dropped] = this.items.splice(index, 1);
+      logger.warn(`Prompt queue full, dropped: ${dropped.prompt}`);
+    }
+
+    const item = {
+      id: uuidv4(),
+      prompt: prompt.trim(),
+      source,
+      queuedAt: Date.now()
+    };
+    this.insert(item);
+
+    this.changed();
+    return { item, duplicate: false };
+  }
+
+  insert(item) {
+    if (item.source === 'manual') {
+      // After the last manual prompt, ahead of all LLM prompts
+      const firstLlmIndex = this.items.findIndex((queued) => queued.source !== 'manual');
+      this.items.splice(firstLlmIndex === -1 ? this.items.length : firstLlmIndex, 0, item);
+    } else {
+      this.items.push(item);
+    }
+  }
+
+  dequeue() {
+    const item = this.items.shift() || null;
+    if (item) {
+      this.changed();
+    }
+    return item;
+  }
+
+  // Put an item that failed to start back at the front, counting the attempt
+  requeue(item) {
+    item.attempts = (item.attempts || 0) + 1;
+    const key = normalizePrompt(item.prompt);
+    if (!this.items.some((queued) => normalizePrompt(queued.prompt) === key)) {
+      this.items.unshift(item);
+      this.changed();
+    }
+    return item;
+  }
+
+  remove(id) {
+    const index = this.items.findIndex((item) => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [item] = this.items.splice(index, 1);
+    this.changed();
+    return item;
+  }
+
+  // Move an item to a zero-based position, clamped to the queue bounds
+  move(id, position) {
+    const index = this.items.findIndex((item) => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [item] = this.items.splice(index, 1);
+    const target = Math.max(0, Math.min(position, this.items.length));
+    this.items.splice(target, 0, item);
+    this.changed();
+    return item;
+  }
+
+  clear() {
+    const removed = this.items.length;
+    this.items = [];
+    this.changed();
+    return removed;
+  }
+
+  // Delete the backing file, used when the owning session goes away
+  destroy() {
+    this.items = [];
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+
+  list() {
+    return this.items.map((item, position) => ({ ...item, position }));
+  }
+
+  get size() {
+    return this.items.length;
+  }
+}
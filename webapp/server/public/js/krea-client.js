@@ -0,0 +1,267 @@
+// Small WebSocket client for the protocol in protocol.js, served at
+// /static/js/krea-client.js. Works in browsers and, given a WebSocket
+// implementation such as the ws package, in Node.
+//
+//   const client = new KreaClient('ws://localhost:3001?session=default');
+//   client.on('prompt', (message) => console.log(message.content));
+//   await client.connect();
+//   await client.request('bot_control', { action: 'pause' });
+//
+// Dropped connections are re-established with exponential backoff, and the
+// broadcasts missed in between are replayed with a resume request.
+import {
+  PROTOCOL_VERSION,
+  validateClientMessage,
+  validateServerMessage,
+  formatValidationErrors
+} from './protocol.js';
+
+// Close codes after which reconnecting would only be rejected again: an
+// unsupported protocol version. Refused credentials fail the upgrade itself.
+const TERMINAL_CLOSE_CODES = [4426];
+
+// Rejection of a request, `code` is one of ERROR_CODES, 'rate_limited' or
+// 'timeout', 'disconnected' or 'invalid_message' for failures on this side
+export class RequestError extends Error {
+  constructor(message, code, data = null) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export class KreaClient {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.options = {
+      WebSocket: globalThis.WebSocket,
+      client: 'krea-client',
+      requestTimeout: 10000,
+      validate: true, // Warn about server messages that do not match the schema
+      reconnect: true,
+      reconnectDelay: 1000, // Doubled on every failed attempt, with jitter
+      maxReconnectDelay: 30000,
+      ...options
+    };
+
+    this.ws = null;
+    this.server = null; // Data of the hello ack: protocolVersion, clientId, sessionId, role, resumed
+    this.listeners = new Map(); // Message type -> Set of handlers
+    this.pending = new Map(); // Request id -> { resolve, reject, timer }
+    this.nextRequestId = 1;
+
+    this.epoch = null; // Epoch and last sequence number of the session's broadcasts
+    this.lastSeq = null;
+    this.resuming = false; // Between reconnecting and the reply to resume
+    this.closed = true;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  get connected() {
+    return !!this.ws && this.ws.readyState === 1; // WebSocket.OPEN
+  }
+
+  // Resolves with the server's hello ack once the first handshake is done.
+  // Every handshake, including those after reconnecting, emits 'ready'.
+  connect() {
+    this.closed = false;
+    return new Promise((resolve, reject) => {
+      const offReady = this.on('ready', (server) => {
+        offReady();
+        offClose();
+        resolve(server);
+      });
+      const offClose = this.on('close', (event) => {
+        if (event.reconnecting) return;
+        offReady();
+        offClose();
+        reject(new RequestError(event.reason || 'Connection closed', 'disconnected', { code: event.code }));
+      });
+      this.open();
+    });
+  }
+
+  open() {
+    const ws = new this.options.WebSocket(this.url);
+    ws.binaryType = 'arraybuffer';
+    this.ws = ws;
+
+    ws.addEventListener('open', () => {
+      this.emit('open', {});
+      this.handshake(ws);
+    });
+    ws.addEventListener('message', (event) => this.handleMessage(event.data));
+    ws.addEventListener('close', (event) => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.resuming = false;
+      this.rejectPending(new RequestError('Connection closed', 'disconnected'));
+
+      const reconnecting = this.options.reconnect && !this.closed && !TERMINAL_CLOSE_CODES.includes(event.code);
+      this.emit('close', { code: event.code, reason: event.reason, reconnecting });
+      if (reconnecting) {
+        this.scheduleReconnect();
+      }
+    });
+    ws.addEventListener('error', () => this.emit('socket_error', {}));
+  }
+
+  async handshake(ws) {
+    // Captured before connection_established of this connection replaces them
+    const resumeFrom = this.epoch !== null ? { epoch: this.epoch, lastSeq: this.lastSeq } : null;
+    this.resuming = !!resumeFrom;
+
+    try {
+      const server = await this.request('hello', { protocolVersion: PROTOCOL_VERSION, client: this.options.client });
+      server.resumed = resumeFrom ? await this.request('resume', resumeFrom) : null;
+      this.resuming = false;
+      this.reconnectAttempts = 0;
+      this.server = server;
+      this.emit('ready', server);
+    } catch (error) {
+      this.resuming = false;
+      // Closing the socket rejects the requests, and the close handler takes over
+      if (error.code !== 'disconnected' && this.ws === ws) {
+        console.error('Handshake failed:', error);
+        ws.close(4000, 'Handshake failed');
+      }
+    }
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(this.options.maxReconnectDelay, this.options.reconnectDelay * 2 ** this.reconnectAttempts);
+    // Jitter keeps clients dropped together from reconnecting together
+    const jittered = Math.round(delay / 2 + Math.random() * delay / 2);
+    this.reconnectAttempts++;
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay: jittered });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.closed) {
+        this.open();
+      }
+    }, jittered);
+  }
+
+  close(code = 1000, reason = '') {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.ws) {
+      this.ws.close(code, reason);
+    }
+  }
+
+  // Handlers get parsed messages of one type, or every message for '*'.
+  // 'binary_frame' handlers get binary frames as ArrayBuffers, and 'open',
+  // 'ready', 'close', 'reconnecting' and 'socket_error' report the connection.
+  // Returns an unsubscribe function.
+  on(type, handler) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(handler);
+    return () => this.listeners.get(type).delete(handler);
+  }
+
+  emit(type, message) {
+    for (const handler of this.listeners.get(type) || []) {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`Error in ${type} handler:`, error);
+      }
+    }
+  }
+
+  // Send without waiting for a reply, throws a RequestError for invalid messages
+  send(type, payload = {}) {
+    this.transmit({ type, ...payload });
+  }
+
+  // Resolves with the data of the ack or typed reply, rejects with a RequestError
+  request(type, payload = {}) {
+    const requestId = String(this.nextRequestId++);
+    return new Promise((resolve, reject) => {
+      try {
+        this.transmit({ type, requestId, ...payload });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new RequestError(`No reply to ${type} within ${this.options.requestTimeout}ms`, 'timeout'));
+      }, this.options.requestTimeout);
+      this.pending.set(requestId, { resolve, reject, timer });
+    });
+  }
+
+  transmit(message) {
+    const { errors } = validateClientMessage(message);
+    if (errors.length > 0) {
+      throw new RequestError(`Invalid ${message.type} message: ${formatValidationErrors(errors)}`, 'invalid_message', { errors });
+    }
+    if (!this.connected) {
+      throw new RequestError('Not connected', 'disconnected');
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
+  handleMessage(raw) {
+    if (typeof raw !== 'string') {
+      this.emit('binary_frame', raw);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.error('Error parsing server message:', error);
+      return;
+    }
+
+    if (this.options.validate) {
+      const { known, errors } = validateServerMessage(message);
+      // Unknown types may come from a newer server and are passed on as they are
+      if (known && errors.length > 0) {
+        console.warn(`Server message ${message.type} does not match the protocol: ${formatValidationErrors(errors)}`);
+      }
+    }
+
+    if (message.type === 'connection_established') {
+      this.epoch = message.data.epoch ?? null;
+      this.lastSeq = message.data.seq;
+    }
+    if (message.seq && message.seq > this.lastSeq) {
+      this.lastSeq = message.seq;
+    }
+
+    const pending = message.requestId && this.pending.get(message.requestId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(message.requestId);
+      if (message.type === 'error') {
+        pending.reject(new RequestError(message.content, message.code, message.data));
+      } else if (message.type === 'rate_limited') {
+        pending.reject(new RequestError(message.content, 'rate_limited', message.data));
+      } else {
+        pending.resolve(message.data ?? null);
+      }
+    }
+
+    this.emit(message.type, message);
+    this.emit('*', message);
+  }
+
+  rejectPending(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+}
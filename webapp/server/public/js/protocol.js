@@ -0,0 +1,291 @@
+// JSON message protocol spoken over the WebSocket, shared by the server and
+// browser clients (served at /static/js/protocol.js). See PROTOCOL.md next to server.js.
+//
+// Every message is an object with a `type`. Client messages may carry a
+// `requestId`; the server answers those with exactly one reply carrying the
+// same requestId: `error` or `rate_limited` on failure, the typed response for queries
+// (status_response, frame_subscription) or `ack` otherwise.
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// Values of `code` on error messages
+export const ERROR_CODES = [
+  'invalid_json',
+  'invalid_message',
+  'unknown_type',
+  'unsupported_version',
+  'forbidden',
+  'not_found',
+  'invalid_settings',
+  'moderation_rejected',
+  'internal_error'
+];
+
+const REQUEST_ID = { type: 'string', minLength: 1, maxLength: 64 };
+const OBJECT = { type: 'object' };
+
+function clientMessage(type, properties = {}, required = []) {
+  return {
+    type: 'object',
+    properties: { type: { const: type }, requestId: REQUEST_ID, ...properties },
+    required: ['type', ...required],
+    additionalProperties: false
+  };
+}
+
+// Server messages may gain fields within a version, clients ignore the ones they do not know
+function serverMessage(type, properties = {}, required = []) {
+  return {
+    type: 'object',
+    properties: {
+      type: { const: type },
+      requestId: REQUEST_ID,
+      sessionId: { type: 'string' },
+      messageId: { type: 'string' },
+      content: { type: 'string' },
+      data: { type: ['object', 'null'] },
+      timestamp: { type: 'number' },
+      seq: { type: 'integer', minimum: 1 }, // Session broadcasts only
+      replayed: { type: 'boolean' }, // Broadcasts sent again for resume
+      ...properties
+    },
+    required: ['type', ...required],
+    additionalProperties: true
+  };
+}
+
+export const CLIENT_MESSAGE_SCHEMAS = {
+  hello: clientMessage('hello', {
+    protocolVersion: { type: 'integer', minimum: 1 },
+    client: { type: 'string', maxLength: 100 }
+  }, ['protocolVersion']),
+  start_generation: clientMessage('start_generation', {
+    prompt: { type: 'string', minLength: 1 }
+  }, ['prompt']),
+  // Replays the broadcasts missed since lastSeq, using epoch and seq from connection_established
+  resume: clientMessage('resume', {
+    epoch: { type: 'string', minLength: 1 },
+    lastSeq: { type: 'integer', minimum: 0 }
+  }, ['epoch', 'lastSeq']),
+  stop_generation: clientMessage('stop_generation'),
+  join_session: clientMessage('join_session', {
+    sessionId: { type: 'string', minLength: 1 }
+  }, ['sessionId']),
+  set_frame_transport: clientMessage('set_frame_transport', {
+    transport: { enum: ['jpeg', 'webrtc'] }
+  }, ['transport']),
+  subscribe_frames: clientMessage('subscribe_frames', {
+    enabled: { type: 'boolean' },
+    maxFps: { type: ['number', 'null'], minimum: 0 },
+    maxWidth: { type: ['integer', 'null'], minimum: 0 },
+    maxHeight: { type: ['integer', 'null'], minimum: 0 }
+  }),
+  get_status: clientMessage('get_status'),
+  bot_control: clientMessage('bot_control', {
+    action: { enum: ['start', 'stop', 'pause', 'resume'] }
+  }, ['action']),
+  // Fields of bot and settings are checked by the server's settings schemas
+  update_bot: clientMessage('update_bot', { bot: OBJECT }, ['bot']),
+  update_settings: clientMessage('update_settings', { settings: OBJECT }, ['settings'])
+};
+
+export const SERVER_MESSAGE_SCHEMAS = {
+  ack: serverMessage('ack', {}, ['requestId']),
+  error: serverMessage('error', { code: { enum: ERROR_CODES } }, ['content']),
+  rate_limited: serverMessage('rate_limited', {
+    data: {
+      type: 'object',
+      properties: { action: { type: 'string' }, retryAfter: { type: 'number' } },
+      required: ['action', 'retryAfter']
+    }
+  }, ['content', 'data']),
+  connection_established: serverMessage('connection_established', {
+    data: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        protocolVersion: { type: 'integer' },
+        epoch: { type: 'string' },
+        seq: { type: 'integer', minimum: 0 },
+        status: { type: 'string' },
+        hasActiveStream: { type: 'boolean' },
+        relayAvailable: { type: 'boolean' },
+        playlist: { type: ['object', 'null'] }
+      },
+      required: ['sessionId', 'protocolVersion', 'epoch', 'seq']
+    }
+  }, ['data']),
+  initial_state: serverMessage('initial_state', {
+    data: {
+      type: 'object',
+      properties: { messages: { type: 'array' }, queue: { type: 'array' } },
+      required: ['messages']
+    }
+  }, ['data']),
+  session_closed: serverMessage('session_closed', {}, ['data']),
+  queue_update: serverMessage('queue_update', {
+    data: { type: 'object', properties: { items: { type: 'array' } }, required: ['items'] }
+  }, ['data']),
+  session_settings: serverMessage('session_settings', {}, ['data']),
+  bot_status: serverMessage('bot_status', {
+    data: {
+      type: 'object',
+      properties: {
+        state: { enum: ['stopped', 'running', 'paused'] },
+        mode: { enum: ['autonomous', 'manual'] }
+      },
+      required: ['state', 'mode']
+    }
+  }, ['data']),
+  // data is null once the playlist stops
+  playlist_status: serverMessage('playlist_status', {
+    data: {
+      type: ['object', 'null'],
+      properties: {
+        playlistId: { type: 'string' },
+        name: { type: 'string' },
+        position: { type: 'integer', minimum: 0 },
+        total: { type: 'integer', minimum: 1 },
+        item: { type: 'object' }
+      },
+      required: ['playlistId', 'name', 'position', 'total', 'item']
+    }
+  }, ['data']),
+  status_response: serverMessage('status_response', {}, ['data']),
+  stream_health: serverMessage('stream_health', {
+    data: { type: 'object', properties: { state: { type: 'string' } }, required: ['state'] }
+  }, ['data']),
+  thought_token: serverMessage('thought_token', {}, ['messageId', 'content']),
+  thought: serverMessage('thought', {}, ['content']),
+  prompt: serverMessage('prompt', {}, ['content']),
+  video_generation: serverMessage('video_generation', {}, ['content']),
+  // Generation lifecycle, also delivered to webhooks
+  generation: serverMessage('generation', {
+    data: {
+      type: 'object',
+      properties: {
+        event: { enum: ['started', 'connected', 'ended', 'timeout', 'error'] },
+        generationId: { type: ['string', 'null'] },
+        streamId: { type: ['string', 'null'] },
+        prompt: { type: ['string', 'null'] }
+      },
+      required: ['event']
+    }
+  }, ['data']),
+  whep_reconnect: serverMessage('whep_reconnect', {}, ['content']),
+  relay_available: serverMessage('relay_available'),
+  recording_available: serverMessage('recording_available', {
+    data: {
+      type: 'object',
+      properties: { url: { type: 'string' }, format: { type: 'string' } },
+      required: ['url', 'format']
+    }
+  }, ['data']),
+  frame_subscription: serverMessage('frame_subscription', {}, ['data']),
+  // JSON frames for transports without binary messages, WebSocket clients get binary frames
+  frame: serverMessage('frame', {}, ['data']),
+  waiting_frame: serverMessage('waiting_frame')
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null
+};
+
+// Validate a value against the subset of JSON Schema used above: type, const,
+// enum, properties, required, additionalProperties (boolean), items,
+// minLength, maxLength, minimum, maximum and maxItems.
+// Returns a list of { path, message }, empty when the value is valid.
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const fail = (message) => errors.push({ path: path || '/', message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => TYPE_CHECKS[type](value))) {
+      fail(`must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (TYPE_CHECKS.array(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}/${index}`)));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}/${key}`, message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        if (item !== undefined) {
+          errors.push(...validateSchema(properties[key], item, `${path}/${key}`));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}/${key}`, message: 'is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Returns { errors, known }, known is false for types without a schema
+function validateMessage(schemas, message) {
+  if (!TYPE_CHECKS.object(message) || typeof message.type !== 'string') {
+    return { known: false, errors: [{ path: '/type', message: 'is required' }] };
+  }
+  const schema = schemas[message.type];
+  if (!schema) {
+    return { known: false, errors: [{ path: '/type', message: `unknown message type ${message.type}` }] };
+  }
+  return { known: true, errors: validateSchema(schema, message) };
+}
+
+export function validateClientMessage(message) {
+  return validateMessage(CLIENT_MESSAGE_SCHEMAS, message);
+}
+
+export function validateServerMessage(message) {
+  return validateMessage(SERVER_MESSAGE_SCHEMAS, message);
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => `${path} ${message}`).join(', ');
+}
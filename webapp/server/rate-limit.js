@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+
+// Token buckets keyed by caller. Each bucket holds up to `burst` tokens and
+// refills at `perMinute` tokens per minute; every action takes one token.
+export class RateLimiter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = {
+      ...options,
+      burst: options.burst || 5,
+      perMinute: options.perMinute || 10
+    };
+    this.buckets = new Map(); // Key -> { tokens, updatedAt }
+  }
+
+  get refillPerMs() {
+    return this.options.perMinute / 60000;
+  }
+
+  refill(key, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: this.options.burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    bucket.tokens = Math.min(this.options.burst, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  // Take a token from every bucket in `keys`, or from none of them if any is
+  // empty. Returns { allowed, retryAfter } with retryAfter in whole seconds.
+  consume(keys) {
+    const now = Date.now();
+    const buckets = keys.map((key) => this.refill(key, now));
+    const emptiest = Math.min(...buckets.map((bucket) => bucket.tokens));
+
+    if (emptiest < 1) {
+      return {
+        allowed: false,
+        retryAfter: Math.max(1, Math.ceil((1 - emptiest) / this.refillPerMs / 1000))
+      };
+    }
+
+    buckets.forEach((bucket) => bucket.tokens--);
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  // Forget buckets that have refilled completely, they behave like new ones
+  prune() {
+    const now = Date.now();
+    for (const key of [...this.buckets.keys()]) {
+      if (this.refill(key, now).tokens >= this.options.burst) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  forget(key) {
+    this.buckets.delete(key);
+  }
+}
+
+// Callers with credentials are limited per API key or session token, others
+// per IP address. Credentials are hashed so raw keys are not held as map keys.
+export function callerKey(auth, ip) {
+  if (auth?.credential) {
+    return `credential:${crypto.createHash('sha256').update(auth.credential).digest('hex')}`;
+  }
+  return `ip:${ip}`;
+}
+
+export function rateLimitMiddleware(limiter) {
+  return (req, res, next) => {
+    const { allowed, retryAfter } = limiter.consume([callerKey(req.auth, req.ip)]);
+    if (allowed) {
+      return next();
+    }
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: `Too many ${limiter.name} requests, retry in ${retryAfter}s`,
+      retryAfter
+    });
+  };
+}
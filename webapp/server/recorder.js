@@ -0,0 +1,284 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+
+// 'auto' records fMP4 when ffmpeg is available and MJPEG otherwise
+export const RECORDING_FORMATS = ['auto', 'mp4', 'mjpeg'];
+
+const MIME_TYPES = {
+  mp4: 'video/mp4',
+  mjpeg: 'video/x-motion-jpeg'
+};
+
+const ffmpegChecks = new Map();
+
+export function hasFfmpeg(ffmpegPath = 'ffmpeg') {
+  if (!ffmpegChecks.has(ffmpegPath)) {
+    const result = spawnSync(ffmpegPath, ['-version'], { stdio: 'ignore' });
+    ffmpegChecks.set(ffmpegPath, result.status === 0);
+  }
+  return ffmpegChecks.get(ffmpegPath);
+}
+
+// One generation being written to disk. JPEG frames are either concatenated
+// into an MJPEG file or piped through ffmpeg into a fragmented MP4, which
+// stays playable while it is still being written.
+export class Recording {
+  constructor(store, metadata) {
+    this.store = store;
+    this.metadata = metadata;
+    this.filePath = store.getFilePath(metadata);
+    this.output = null; // Writable the JPEG frames go to
+    this.ffmpeg = null;
+    this.ffmpegErrors = [];
+    this.closed = null; // Resolves once the output has been flushed
+    this.failed = false;
+  }
+
+  get id() {
+    return this.metadata.id;
+  }
+
+  // Frames are dropped rather than buffered when the disk or ffmpeg falls behind
+  write(frame) {
+    if (this.failed || this.metadata.status !== 'recording') {
+      return;
+    }
+    if (!this.output) {
+      this.open(frame);
+    }
+    if (this.output.writableNeedDrain) {
+      this.metadata.droppedFrames++;
+      return;
+    }
+
+    this.output.write(frame.data);
+    this.metadata.frameCount++;
+  }
+
+  // Note a live prompt change at the current position of the recording
+  addPrompt(prompt) {
+    if (this.metadata.status !== 'recording') {
+      return;
+    }
+    const offset = this.metadata.firstFrameAt ? Date.now() - this.metadata.firstFrameAt : 0;
+    this.metadata.prompts.push({ prompt, offset });
+  }
+
+  open(frame) {
+    this.metadata.width = frame.width;
+    this.metadata.height = frame.height;
+    this.metadata.firstFrameAt = Date.now();
+
+    if (this.metadata.format === 'mjpeg') {
+      this.output = fs.createWriteStream(this.filePath);
+      this.closed = new Promise((resolve) => this.output.on('close', resolve));
+      this.output.on('error', (error) => this.fail(error));
+      return;
+    }
+
+    // H.264 needs even dimensions, and the scale filter keeps the output size
+    // fixed if the source changes resolution mid-stream
+    const width = frame.width - (frame.width % 2);
+    const height = frame.height - (frame.height % 2);
+    this.ffmpeg = spawn(this.store.options.ffmpegPath, [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-use_wallclock_as_timestamps', '1',
+      '-f', 'image2pipe',
+      '-c:v', 'mjpeg',
+      '-i', 'pipe:0',
+      '-vf', `scale=${width}:${height}`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-pix_fmt', 'yuv420p',
+      '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+      '-f', 'mp4',
+      '-y', this.filePath
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    this.output = this.ffmpeg.stdin;
+    this.closed = new Promise((resolve) => {
+      this.ffmpeg.on('close', resolve);
+      this.ffmpeg.on('error', () => resolve(null));
+    });
+    this.ffmpeg.stderr.on('data', (data) => {
+      this.ffmpegErrors = [...this.ffmpegErrors, data.toString().trim()].slice(-5);
+    });
+    this.ffmpeg.on('error', (error) => this.fail(error));
+    this.output.on('error', (error) => this.fail(error));
+  }
+
+  fail(error) {
+    if (this.failed) {
+      return;
+    }
+    this.failed = true;
+    logger.error(`Recording ${this.id} failed: ${error.message}`);
+    this.metadata.error = error.message;
+  }
+
+  async stop() {
+    if (this.metadata.status !== 'recording') {
+      return this.metadata;
+    }
+
+    this.metadata.status = 'finishing';
+    if (this.output) {
+      this.output.end();
+      const exitCode = await this.closed;
+      if (this.ffmpeg && exitCode !== 0 && !this.failed) {
+        this.fail(new Error(`ffmpeg exited with code ${exitCode}: ${this.ffmpegErrors.join(' ')}`));
+      }
+    }
+
+    this.metadata.endedAt = Date.now();
+    this.metadata.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+
+    if (this.metadata.frameCount === 0 || this.metadata.size === 0) {
+      // Nothing worth keeping
+      this.store.delete(this.id);
+      this.metadata.status = 'empty';
+      return this.metadata;
+    }
+
+    this.metadata.status = this.failed ? 'failed' : 'complete';
+    this.store.save(this.metadata);
+    logger.info(`Recording ${this.id} ${this.metadata.status}: ${this.metadata.frameCount} frame(s), ${this.metadata.size} bytes`);
+    return this.metadata;
+  }
+}
+
+// Recordings on disk: one media file plus a JSON metadata file per recording
+export class RecordingStore {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.options = {
+      ...options,
+      format: options.format || 'auto',
+      ffmpegPath: options.ffmpegPath || 'ffmpeg'
+    };
+    if (!RECORDING_FORMATS.includes(this.options.format)) {
+      throw new Error(`Unknown recording format: ${this.options.format}`);
+    }
+
+    this.recordings = new Map(); // Recording id -> metadata
+    this.active = new Map(); // Recording id -> Recording still being written
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.dir)) {
+      return;
+    }
+
+    for (const fileName of fs.readdirSync(this.dir)) {
+      if (!fileName.endsWith('.json')) continue;
+      try {
+        const metadata = JSON.parse(fs.readFileSync(path.join(this.dir, fileName), 'utf8'));
+        // The server stopped while this one was being written
+        if (metadata.status === 'recording' || metadata.status === 'finishing') {
+          metadata.status = 'interrupted';
+          this.save(metadata);
+        }
+        this.recordings.set(metadata.id, metadata);
+      } catch (error) {
+        logger.error(`Failed to load recording metadata ${fileName}:`, error);
+      }
+    }
+    logger.info(`Loaded ${this.recordings.size} recording(s) from ${this.dir}`);
+  }
+
+  // Resolve 'auto' once per recording, so installing ffmpeg needs no restart
+  resolveFormat() {
+    if (this.options.format !== 'auto') {
+      return this.options.format;
+    }
+    return hasFfmpeg(this.options.ffmpegPath) ? 'mp4' : 'mjpeg';
+  }
+
+  start({ sessionId, generationId, streamId, prompt }) {
+    const format = this.resolveFormat();
+    const metadata = {
+      id: uuidv4(),
+      sessionId,
+      generationId,
+      streamId,
+      prompt,
+      prompts: [{ prompt, offset: 0 }], // Live prompt changes, offset in ms from the first frame
+      format,
+      mimeType: MIME_TYPES[format],
+      status: 'recording',
+      startedAt: Date.now(),
+      firstFrameAt: null,
+      endedAt: null,
+      frameCount: 0,
+      droppedFrames: 0,
+      width: null,
+      height: null,
+      size: 0,
+      error: null
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.save(metadata);
+
+    const recording = new Recording(this, metadata);
+    this.active.set(metadata.id, recording);
+    logger.info(`Recording stream ${streamId} as ${format}: ${metadata.id}`);
+    return recording;
+  }
+
+  async stop(id) {
+    const recording = this.active.get(id);
+    if (!recording) {
+      return null;
+    }
+    const metadata = await recording.stop();
+    this.active.delete(id);
+    return metadata;
+  }
+
+  save(metadata) {
+    this.recordings.set(metadata.id, metadata);
+
+    try {
+      const metadataPath = path.join(this.dir, `${metadata.id}.json`);
+      const tmpPath = `${metadataPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(metadata, null, 2));
+      fs.renameSync(tmpPath, metadataPath);
+    } catch (error) {
+      logger.error(`Failed to save recording metadata ${metadata.id}:`, error);
+    }
+  }
+
+  get(id) {
+    return this.recordings.get(id) || null;
+  }
+
+  getFilePath(metadata) {
+    return path.join(this.dir, `${metadata.id}.${metadata.format}`);
+  }
+
+  // Newest first
+  list({ sessionId } = {}) {
+    return [...this.recordings.values()]
+      .filter((metadata) => !sessionId || metadata.sessionId === sessionId)
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  delete(id) {
+    const metadata = this.recordings.get(id);
+    if (!metadata || (this.active.has(id) && metadata.status === 'recording')) {
+      return false;
+    }
+
+    this.recordings.delete(id);
+    for (const filePath of [this.getFilePath(metadata), path.join(this.dir, `${id}.json`)]) {
+      fs.rmSync(filePath, { force: true });
+    }
+    return true;
+  }
+}
@@ -2,7 +2,7 @@ import express from 'express';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
-import winston from 'winston';
+import { logger, configureLogger } from './logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import fetch from 'node-fetch';
 import fs from 'fs';
@@ -10,123 +10,795 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import compression from 'compression';
 import helmet from 'helmet';
-import { WHEPClient } from './whep-client.js';
+import { WHEPFrameExtractor } from './whep-client.js';
+import { LLMClient } from './llm-client.js';
+import { WHEPRelay, WHEPRelayError } from './whep-relay.js';
+import { encodeFrameMessage } from './frame-protocol.js';
+import {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  CLIENT_MESSAGE_SCHEMAS,
+  SERVER_MESSAGE_SCHEMAS,
+  validateClientMessage,
+  formatValidationErrors
+} from './public/js/protocol.js';
+import { PromptQueue, PromptQueueError } from './prompt-queue.js';
+import { HistoryStore } from './history-store.js';
+import { RecordingStore } from './recorder.js';
+import { AuthManager, AuthError, hasRole, redactCredentials, SESSION_COOKIE } from './auth.js';
+import { createModerationPipeline, loadModerationConfig, ModerationError } from './moderation.js';
+import { RateLimiter, callerKey, rateLimitMiddleware } from './rate-limit.js';
+import { MetricsRegistry, RateMeter } from './metrics.js';
+import { SSEClient, parseEventId } from './sse-client.js';
+import { WebhookManager, WebhookError } from './webhooks.js';
+import { PlaylistStore, PlaylistPlayer, PlaylistError, parsePlaylist } from './playlists.js';
+import { StreamWatchdog, isTerminalUpstreamStatus } from './stream-watchdog.js';
+import { ConfigManager, ConfigError, SESSION_SETTINGS_SCHEMA, BOT_SETTINGS_SCHEMA, parseSettings } from './config.js';
+import sharp from 'sharp';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'krea-realtime-server' },
-  transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
-    new winston.transports.Console({
-      format: winston.format.simple()
-    })
-  ],
-});
-
-// Configuration
-const CONFIG = {
-  PORT: process.env.PORT || 3001,
-  VIDEO_API_BASE: process.env.VIDEO_API_BASE || 'http://localhost:8000',
-  LLM_API_BASE: process.env.LLM_API_BASE || 'http://localhost:8001',
-  FRAME_RATE: 30, // Target FPS
-  GENERATION_TIMEOUT: 10000, // 10 seconds
-  LLM_CYCLE_INTERVAL: 7000, // 7 seconds
-  WAITING_IMAGE_PATH: path.join(__dirname, 'assets', 'waiting.jpg'),
-  FRONTEND_ENABLED: process.env.FRONTEND_ENABLED !== 'false' // Enable frontend by default
-};
+// Configuration from env vars and the optional CONFIG_FILE. Invalid settings
+// stop the server before anything starts.
+const configManager = new ConfigManager();
+const CONFIG = loadConfig();
+
+function loadConfig() {
+  try {
+    return configManager.load();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+configureLogger({ level: CONFIG.LOG_LEVEL, filePath: CONFIG.LOG_FILE_PATH });
+
+const DEFAULT_SESSION_ID = 'default';
+
+// Broadcasts that only describe the moment, not kept for clients resuming later
+const UNBUFFERED_EVENT_TYPES = ['waiting_frame', 'thought_token'];
+
+// Session broadcasts webhooks can subscribe to, all but the unbuffered ones
+const WEBHOOK_EVENT_TYPES = [
+  'generation', 'video_generation', 'prompt', 'thought', 'error', 'stream_health', 'whep_reconnect',
+  'relay_available', 'recording_available', 'queue_update', 'bot_status', 'session_settings', 'playlist_status'
+];
 
 // Application state
 class AppState {
   constructor() {
     this.clients = new Map(); // WebSocket clients
-    this.messages = []; // Store messages for frontend rendering
-    this.currentStream = null;
-    this.currentVideo = null;
-    this.streamStatus = 'idle'; // idle, starting, active, error
-    this.llmBot = new LLMBot();
-    this.frameStreamer = new FrameStreamer();
-    this.lastFrameTime = 0;
-    this.generationInProgress = false;
+    this.clientSessions = new Map(); // Client id -> id of the session it has joined
+    this.clientJoinSequences = new Map(); // Client id -> sequence number of its session when it joined
+    this.frameSubscriptions = new Map(); // Per-client frame rate and resolution limits
+    this.sessions = new Map(); // Independent generation sessions
   }
 
-  addClient(ws, id) {
+  createSession(options = {}) {
+    const id = options.id || uuidv4();
+    if (this.sessions.has(id)) {
+      throw new Error(`Session already exists: ${id}`);
+    }
+
+    const session = new GenerationSession(id, options);
+    this.sessions.set(id, session);
+    logger.info(`Session created: ${id}`);
+    return session;
+  }
+
+  getSession(id) {
+    return this.sessions.get(id || DEFAULT_SESSION_ID) || null;
+  }
+
+  closeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+
+    session.close();
+    session.promptQueue.destroy();
+    playlistStore.setActive(id, null);
+    this.sessions.delete(id);
+
+    // Move subscribers over to the default session
+    for (const clientId of session.getSubscriberIds()) {
+      this.sendToClient(clientId, {
+        type: 'session_closed',
+        data: { sessionId: id }
+      });
+      this.joinSession(clientId, DEFAULT_SESSION_ID);
+    }
+
+    logger.info(`Session closed: ${id}`);
+    return true;
+  }
+
+  addClient(ws, id, sessionId, options = {}) {
     this.clients.set(id, ws);
     logger.info(`Client connected: ${id}`);
-    
+    this.joinSession(id, sessionId, options);
+  }
+
+  // sendHistory: false skips initial_state, for clients that replay what they missed
+  joinSession(clientId, sessionId, { sendHistory = true } = {}) {
+    const session = this.getSession(sessionId) || this.getSession(DEFAULT_SESSION_ID);
+    this.clientSessions.set(clientId, session.id);
+    this.clientJoinSequences.set(clientId, session.sequence);
+
     // Send current state to new client
-    this.sendToClient(id, {
+    this.sendToClient(clientId, {
       type: 'connection_established',
       data: {
-        status: this.streamStatus,
-        hasActiveStream: !!this.currentStream
+        sessionId: session.id,
+        protocolVersion: PROTOCOL_VERSION,
+        epoch: session.epoch,
+        seq: session.sequence,
+        status: session.streamStatus,
+        hasActiveStream: !!session.currentStream,
+        relayAvailable: session.whepRelay.hasSource(),
+        playlist: session.playlistPlayer.getStatus()
       }
     });
+
+    // Replay what happened before the client joined
+    if (sendHistory) {
+      this.sendToClient(clientId, {
+        type: 'initial_state',
+        sessionId: session.id,
+        data: {
+          messages: session.getRecentMessages(CONFIG.HISTORY_REPLAY_LENGTH),
+          currentGeneration: session.videoGenerator.currentRun,
+          queue: session.promptQueue.list()
+        }
+      });
+    }
+
+    return session;
   }
 
   removeClient(id) {
+    promptLimiter.forget(`client:${id}`);
+    subscriptionLimiter.forget(`client:${id}`);
     this.clients.delete(id);
+    this.clientSessions.delete(id);
+    this.clientJoinSequences.delete(id);
+    this.frameSubscriptions.delete(id);
     logger.info(`Client disconnected: ${id}`);
   }
 
-  broadcast(message) {
-    // Store message for frontend rendering
-    if (['thought', 'prompt', 'video_generation', 'error'].includes(message.type)) {
-      this.messages.push({
-        id: Date.now() + Math.random(),
-        timestamp: Date.now(),
-        type: message.type,
-        content: message.content
-      });
-      
-      // Keep only last 50 messages
-      if (this.messages.length > 50) {
-        this.messages = this.messages.slice(-50);
-      }
-    }
+  getClientSession(clientId) {
+    return this.getSession(this.clientSessions.get(clientId));
+  }
 
+  getClientRole(clientId) {
+    return this.clients.get(clientId)?.auth?.role || null;
+  }
+
+  sendToClients(clientIds, message) {
     const data = JSON.stringify(message);
-    this.clients.forEach((ws, id) => {
-      if (ws.readyState === 1) { // WebSocket.OPEN
+    clientIds.forEach((id) => {
+      const ws = this.clients.get(id);
+      if (ws && ws.readyState === 1) { // WebSocket.OPEN
         try {
           ws.send(data);
         } catch (error) {
           logger.error(`Error sending to client ${id}:`, error);
-          this.removeClient(id);
+          metrics.clientSendErrors.inc({ transport: ws.transport || 'websocket', kind: 'message' });
+          // The close handler removes the client
+          ws.terminate();
         }
       }
     });
   }
 
-  sendToClient(clientId, message) {
-    const ws = this.clients.get(clientId);
-    if (ws && ws.readyState === 1) {
+  getFrameSubscription(clientId) {
+    let subscription = this.frameSubscriptions.get(clientId);
+    if (!subscription) {
+      subscription = {
+        enabled: true,
+        maxFps: CONFIG.FRAME_RATE,
+        maxWidth: null,
+        maxHeight: null,
+        nextFrameAt: 0,
+        sentFrames: 0,
+        droppedFrames: 0
+      };
+      this.frameSubscriptions.set(clientId, subscription);
+    }
+    return subscription;
+  }
+
+  updateFrameSubscription(clientId, options) {
+    const subscription = this.getFrameSubscription(clientId);
+    const toDimension = (value) => {
+      const number = parseInt(value);
+      return number > 0 ? number : null;
+    };
+
+    if (typeof options.enabled === 'boolean') {
+      subscription.enabled = options.enabled;
+    }
+    if (options.maxFps !== undefined) {
+      const maxFps = Number(options.maxFps);
+      subscription.maxFps = maxFps > 0 ? Math.min(maxFps, CONFIG.FRAME_RATE) : CONFIG.FRAME_RATE;
+    }
+    if (options.maxWidth !== undefined) {
+      subscription.maxWidth = toDimension(options.maxWidth);
+    }
+    if (options.maxHeight !== undefined) {
+      subscription.maxHeight = toDimension(options.maxHeight);
+    }
+    subscription.nextFrameAt = 0;
+
+    return subscription;
+  }
+
+  // Send a frame to every subscribed client, honoring each client's frame rate
+  // and resolution limits and skipping clients whose socket is backed up.
+  // Clients are served in parallel so a slow resize for one delays no one else.
+  async broadcastFrame(clientIds, frame) {
+    const variants = new Map(); // Scaled JPEGs shared by clients asking for the same size
+    const now = Date.now();
+
+    await Promise.all(clientIds.map(async (id) => {
+      const ws = this.clients.get(id);
+      if (!ws || ws.readyState !== 1) return; // WebSocket.OPEN
+
+      const subscription = this.getFrameSubscription(id);
+      if (!subscription.enabled) return;
+
+      // Allow some jitter so a 30 fps client is not throttled by a 30 fps source
+      const frameInterval = 1000 / Math.min(subscription.maxFps, CONFIG.FRAME_RATE);
+      if (now < subscription.nextFrameAt - frameInterval * 0.2) return;
+
+      const transport = ws.transport || 'websocket';
+      if (ws.bufferedAmount > CONFIG.CLIENT_MAX_BUFFERED_BYTES) {
+        subscription.droppedFrames++;
+        metrics.clientFramesDropped.inc({ transport });
+        return;
+      }
+
+      subscription.nextFrameAt = Math.max(subscription.nextFrameAt, now) + frameInterval;
+
+      let variant;
       try {
-        ws.send(JSON.stringify(message));
+        variant = await this.getFrameVariant(frame, subscription, variants);
       } catch (error) {
-        logger.error(`Error sending to client ${clientId}:`, error);
-        this.removeClient(clientId);
+        // A frame that cannot be scaled is skipped, the client stays connected
+        logger.warn(`Failed to scale frame for client ${id}: ${error.message}`);
+        subscription.droppedFrames++;
+        metrics.clientFramesDropped.inc({ transport });
+        return;
+      }
+      if (ws.readyState !== 1) return;
+
+      try {
+        if (ws.binaryFrames === false) {
+          // Legacy JSON frames for transports that cannot carry binary messages
+          ws.send(JSON.stringify({
+            type: 'frame',
+            data: {
+              streamId: frame.streamId,
+              frameNumber: frame.frameNumber,
+              timestamp: frame.timestamp,
+              width: variant.width,
+              height: variant.height,
+              frameData: variant.data.toString('base64')
+            }
+          }));
+        } else {
+          ws.send(encodeFrameMessage({ ...frame, ...variant }));
+        }
+        subscription.sentFrames++;
+        metrics.clientFramesSent.inc({ transport });
+
+      } catch (error) {
+        logger.error(`Error sending frame to client ${id}:`, error);
+        metrics.clientSendErrors.inc({ transport, kind: 'frame' });
+        // The close handler removes the client
+        ws.terminate();
+      }
+    }));
+  }
+
+  getFrameVariant(frame, subscription, variants) {
+    const { maxWidth, maxHeight } = subscription;
+    const fitsWidth = !maxWidth || frame.width <= maxWidth;
+    const fitsHeight = !maxHeight || frame.height <= maxHeight;
+    if (fitsWidth && fitsHeight) {
+      return { width: frame.width, height: frame.height, data: frame.data };
+    }
+
+    const key = `${maxWidth || ''}x${maxHeight || ''}`;
+    if (!variants.has(key)) {
+      variants.set(key, sharp(frame.data)
+        .resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: CONFIG.FRAME_JPEG_QUALITY })
+        .toBuffer({ resolveWithObject: true })
+        .then(({ data, info }) => ({ width: info.width, height: info.height, data })));
+    }
+    return variants.get(key);
+  }
+
+  sendToClient(clientId, message) {
+    this.sendToClients([clientId], message);
+  }
+}
+
+// One independent generation stream with its own bot, WHEP connection and subscribers
+class GenerationSession {
+  constructor(id, options = {}) {
+    this.id = id;
+    this.name = options.name || id;
+    this.createdAt = Date.now();
+    this.autonomous = options.autonomous !== false; // Whether the LLM bot drives this session
+    this.promptHistory = [];
+    this.currentStream = null;
+    this.currentVideo = null;
+    this.streamStatus = 'idle'; // idle, starting, active, error
+    this.lastFrameTime = 0;
+    this.generationInProgress = false;
+    this.queueBusy = false; // A queued prompt is being applied
+    this.queueTimer = null; // Waits out the display time of the current prompt
+    this.nextPromptAt = 0; // Earliest time the next queued prompt may be applied
+    this.closed = false;
+    this.settings = { cycleInterval: null, quality: null, duration: null }; // Operator overrides of CONFIG defaults
+    this.epoch = uuidv4(); // Sequence numbers are only comparable within an epoch
+    this.sequence = 0; // Sequence number of the last broadcast
+    this.eventBuffer = []; // Recent broadcasts for resuming clients, oldest first
+    this.evictedSequence = 0; // Sequence number of the last broadcast dropped from eventBuffer
+    this.llmBot = new LLMBot(this);
+    this.frameStreamer = new FrameStreamer(this);
+    this.videoGenerator = new VideoGenerator(this);
+    this.whepRelay = new WHEPRelay({ iceServers: CONFIG.ICE_SERVERS });
+    this.watchdog = new StreamWatchdog({
+      stallTimeout: CONFIG.STREAM_STALL_TIMEOUT,
+      deadTimeout: CONFIG.STREAM_DEAD_TIMEOUT,
+      degradedFps: CONFIG.STREAM_DEGRADED_FPS
+    });
+    this.watchdog.onTransition = (transition) => this.handleHealthTransition(transition);
+    this.promptQueue = new PromptQueue(path.join(CONFIG.DATA_DIR, 'queues', `${id}.json`), {
+      maxSize: CONFIG.PROMPT_QUEUE_MAX_SIZE
+    });
+    this.promptQueue.onChange = (items) => {
+      this.broadcast({
+        type: 'queue_update',
+        data: { items },
+        timestamp: Date.now()
+      });
+    };
+    // Items without a duration of their own last one LLM cycle
+    this.playlistPlayer = new PlaylistPlayer({
+      getDefaultDuration: () => this.getSettings().cycleInterval,
+      getMinDuration: () => CONFIG.PROMPT_MIN_DISPLAY_MS
+    });
+    this.playlistPlayer.onItem = (item, status) => {
+      playlistStore.setActive(this.id, this.playlistPlayer.getState());
+      this.broadcastPlaylistStatus(`Playlist ${status.name}: ${status.position + 1}/${status.total}`);
+      this.submitPrompt(item.prompt, 'playlist').catch((error) => {
+        if (error instanceof PromptQueueError) {
+          logger.warn(`Playlist prompt not queued: ${error.message}`);
+        } else if (!(error instanceof ModerationError)) {
+          logger.error('Failed to submit playlist prompt:', error);
+        }
+      });
+    };
+    this.playlistPlayer.onStop = ({ playlist, reason }) => {
+      playlistStore.setActive(this.id, null);
+      this.broadcastPlaylistStatus(`Playlist ${playlist.name} ${reason}`);
+    };
+  }
+
+  start() {
+    if (this.autonomous) {
+      this.llmBot.start();
+    }
+    this.restorePlaylist();
+    // Pick up prompts left in the persisted queue
+    this.processQueue();
+  }
+
+  // Continue the playlist that was playing when the server stopped
+  restorePlaylist() {
+    const state = playlistStore.getActive(this.id);
+    if (!state) {
+      return;
+    }
+
+    const playlist = playlistStore.get(state.playlistId);
+    if (!playlist) {
+      playlistStore.setActive(this.id, null);
+      return;
+    }
+    this.playlistPlayer.start(playlist, state);
+  }
+
+  broadcastPlaylistStatus(content) {
+    this.broadcast({
+      type: 'playlist_status',
+      content,
+      data: this.playlistPlayer.getStatus(),
+      timestamp: Date.now()
+    });
+  }
+
+  // Moderate a prompt, queue it and start it right away if nothing is
+  // generating. Rejections are broadcast and rethrown as ModerationError, a
+  // full queue throws a PromptQueueError.
+  async submitPrompt(prompt, source = 'manual') {
+    try {
+      prompt = await moderationPipeline.check(prompt, { source, sessionId: this.id });
+    } catch (error) {
+      if (error instanceof ModerationError) {
+        this.broadcast({
+          type: 'error',
+          content: `Prompt rejected: ${error.message}`,
+          data: { ...error.toJSON(), source },
+          timestamp: Date.now()
+        });
+      }
+      throw error;
+    }
+
+    const result = this.promptQueue.enqueue(prompt, source);
+    if (result.duplicate) {
+      logger.info(`Prompt already queued for session ${this.id}: ${prompt}`);
+    }
+    this.processQueue();
+    return result;
+  }
+
+  // Apply the next queued prompt once the previous one has been on screen for
+  // PROMPT_MIN_DISPLAY_MS. A prompt that fails to start goes back to the front.
+  async processQueue() {
+    if (this.generationInProgress || this.queueBusy || this.queueTimer || this.promptQueue.size === 0) {
+      return;
+    }
+
+    const wait = this.nextPromptAt - Date.now();
+    if (wait > 0) {
+      this.queueTimer = setTimeout(() => {
+        this.queueTimer = null;
+        this.processQueue();
+      }, wait);
+      return;
+    }
+
+    const item = this.promptQueue.dequeue();
+    this.queueBusy = true;
+    let applied = false;
+    try {
+      // Steer a running stream instead of starting a new one
+      if (this.streamStatus === 'active' && this.currentStream) {
+        applied = await this.videoGenerator.updatePrompt(item.prompt);
+      } else {
+        applied = await this.videoGenerator.requestGeneration(item.prompt);
+      }
+    } catch (error) {
+      // Callers do not wait for the queue, so this is the last place to catch it
+      logger.error(`Failed to apply queued prompt: ${item.prompt}`, error);
+    } finally {
+      this.queueBusy = false;
+    }
+
+    // Failures wait out the same interval before the retry. Updates are never
+    // sent faster than the transition that blends them in.
+    this.nextPromptAt = Date.now() + Math.max(CONFIG.PROMPT_MIN_DISPLAY_MS, CONFIG.PROMPT_TRANSITION_MS);
+    if (!applied && !this.closed) {
+      if ((item.attempts || 0) + 1 < CONFIG.PROMPT_MAX_ATTEMPTS) {
+        this.promptQueue.requeue(item);
+      } else {
+        logger.warn(`Dropping prompt after ${CONFIG.PROMPT_MAX_ATTEMPTS} failed attempt(s): ${item.prompt}`);
+      }
+    }
+    this.processQueue();
+  }
+
+  // Called whenever a generation attempt settles, successfully or not
+  endGeneration() {
+    this.generationInProgress = false;
+    setImmediate(() => this.processQueue());
+  }
+
+  // Settings in effect, with operator overrides applied
+  getSettings() {
+    return {
+      cycleInterval: this.settings.cycleInterval || CONFIG.LLM_CYCLE_INTERVAL,
+      quality: this.settings.quality || CONFIG.GENERATION_QUALITY,
+      duration: this.settings.duration || CONFIG.GENERATION_DURATION
+    };
+  }
+
+  // Throws a ConfigError for invalid values, null goes back to the default
+  updateSettings(changes) {
+    const parsed = parseSettings(SESSION_SETTINGS_SCHEMA, changes);
+    Object.assign(this.settings, parsed);
+    if ('cycleInterval' in parsed) {
+      this.llmBot.restartCycle();
+    }
+
+    const settings = this.getSettings();
+    logger.info(`Settings of session ${this.id} updated: ${JSON.stringify(settings)}`);
+    this.broadcast({
+      type: 'session_settings',
+      data: settings,
+      timestamp: Date.now()
+    });
+    return settings;
+  }
+
+  // start and stop switch between autonomous and manual mode, pause and
+  // resume skip the bot's cycles without touching the schedule
+  controlBot(action) {
+    const actions = {
+      start: () => this.setMode('autonomous'),
+      stop: () => this.setMode('manual'),
+      pause: () => this.llmBot.pause(),
+      resume: () => this.llmBot.resume()
+    };
+    if (!actions[action]) {
+      throw new Error(`Unknown bot action: ${action}`);
+    }
+    actions[action]();
+    return this.broadcastBotStatus();
+  }
+
+  // Manual mode leaves prompts to people, autonomous mode runs the LLM bot
+  setMode(mode) {
+    this.autonomous = mode === 'autonomous';
+    if (this.autonomous) {
+      this.llmBot.start();
+    } else {
+      this.llmBot.stop();
+    }
+  }
+
+  // Throws a ConfigError for invalid values, null clears a setting
+  updateBot(changes) {
+    const { mode, ...steering } = parseSettings(BOT_SETTINGS_SCHEMA, changes);
+    this.llmBot.steer(steering);
+    if (mode) {
+      this.setMode(mode);
+    }
+    return this.broadcastBotStatus();
+  }
+
+  broadcastBotStatus() {
+    const bot = this.llmBot.getStatus();
+    this.broadcast({
+      type: 'bot_status',
+      data: bot,
+      timestamp: Date.now()
+    });
+    return bot;
+  }
+
+  // Live readout for the operator panel
+  getStatus() {
+    const whep = this.videoGenerator.whepConnection?.getConnectionState() || null;
+    return {
+      sessionId: this.id,
+      streamStatus: this.streamStatus,
+      hasActiveStream: !!this.currentStream,
+      frameStreaming: this.frameStreamer.hasActiveFrames(),
+      streamHealth: this.watchdog.state,
+      stream: this.currentStream ? {
+        id: this.currentStream.id,
+        prompt: this.currentStream.prompt,
+        startTime: this.currentStream.startTime,
+        uptime: Date.now() - this.currentStream.startTime
+      } : null,
+      fps: Math.round(this.frameStreamer.receivedRate.rate() * 10) / 10,
+      frameCount: whep?.frameCount || 0,
+      droppedFrames: (whep?.droppedFrames || 0) + (whep?.queueDroppedFrames || 0),
+      iceConnectionState: whep?.iceConnectionState || null,
+      bot: this.llmBot.getStatus(),
+      playlist: this.playlistPlayer.getStatus(),
+      settings: this.getSettings()
+    };
+  }
+
+  // Called every second by the periodic tasks
+  checkStreamHealth() {
+    return this.watchdog.evaluate({
+      active: !!this.currentStream,
+      startedAt: this.currentStream?.startTime,
+      lastFrameTime: this.lastFrameTime,
+      fps: this.frameStreamer.receivedRate.rate(),
+      reconnecting: !!this.videoGenerator.whepConnection?.getConnectionState().reconnecting
+    });
+  }
+
+  handleHealthTransition(transition) {
+    const { state, previousState, reason } = transition;
+    logger[state === 'healthy' || state === 'idle' ? 'info' : 'warn'](
+      `Stream health of session ${this.id}: ${previousState} -> ${state}${reason ? ` (${reason})` : ''}`
+    );
+    metrics.streamHealthTransitions.inc({ session: this.id, state });
+
+    this.broadcast({
+      type: 'stream_health',
+      content: `Stream ${state}${reason ? `: ${reason}` : ''}`,
+      data: { ...transition, streamId: this.currentStream?.id || null },
+      timestamp: Date.now()
+    });
+
+    if (state === 'dead') {
+      this.recoverStream(reason).catch((error) => {
+        logger.error(`Stream recovery of session ${this.id} failed:`, error);
+      });
+    }
+  }
+
+  // Tear down a dead stream and request its last prompt again, up to
+  // STREAM_MAX_RECOVERIES times before the stream becomes healthy again.
+  // Recovery goes through the queue: a waiting prompt replaces the stream,
+  // otherwise the queue is held while the last prompt restarts.
+  async recoverStream(reason) {
+    const generator = this.videoGenerator;
+    const prompt = generator.currentPrompt;
+    generator.finishRun('disconnected', reason);
+    generator.stopCurrentGeneration();
+
+    // The queue is already starting a prompt, or is about to
+    if (this.queueBusy || this.promptQueue.size > 0) {
+      this.broadcast({
+        type: 'video_generation',
+        content: 'Stream stopped, continuing with the next queued prompt',
+        timestamp: Date.now()
+      });
+      this.processQueue();
+      return;
+    }
+
+    if (!prompt || this.watchdog.recoveries >= CONFIG.STREAM_MAX_RECOVERIES) {
+      // The next stream, started by a new prompt, gets a fresh set of attempts
+      this.watchdog.recoveries = 0;
+      this.broadcast({
+        type: 'error',
+        content: `Stream could not be recovered after ${CONFIG.STREAM_MAX_RECOVERIES} attempt(s), stopped`,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    this.watchdog.recoveries++;
+    metrics.streamRecoveries.inc({ session: this.id });
+    this.broadcast({
+      type: 'video_generation',
+      content: `Restarting stream (attempt ${this.watchdog.recoveries}/${CONFIG.STREAM_MAX_RECOVERIES}): "${prompt}"`,
+      timestamp: Date.now()
+    });
+
+    this.queueBusy = true;
+    try {
+      await generator.requestGeneration(prompt);
+    } catch (error) {
+      logger.error(`Failed to restart stream of session ${this.id}:`, error);
+    } finally {
+      this.queueBusy = false;
+    }
+    // The restarted prompt is on screen as long as any other
+    this.nextPromptAt = Date.now() + Math.max(CONFIG.PROMPT_MIN_DISPLAY_MS, CONFIG.PROMPT_TRANSITION_MS);
+    this.processQueue();
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.queueTimer);
+    this.queueTimer = null;
+    this.llmBot.stop();
+    // The run stays in the playlist store to be continued after a restart
+    this.playlistPlayer.suspend();
+    this.videoGenerator.stopCurrentGeneration();
+    this.whepRelay.closeAll();
+  }
+
+  getSubscriberIds() {
+    return [...appState.clientSessions.entries()]
+      .filter(([, sessionId]) => sessionId === this.id)
+      .map(([clientId]) => clientId);
+  }
+
+  broadcast(message) {
+    // Persist message for history and frontend rendering
+    if (['thought', 'prompt', 'video_generation', 'error'].includes(message.type)) {
+      historyStore.addMessage(this.id, {
+        id: message.messageId,
+        type: message.type,
+        content: message.content,
+        timestamp: message.timestamp
+      });
+    }
+
+    const event = { ...message, sessionId: this.id, seq: ++this.sequence };
+    if (!UNBUFFERED_EVENT_TYPES.includes(event.type)) {
+      this.eventBuffer.push(event);
+      while (this.eventBuffer.length > CONFIG.EVENT_BUFFER_SIZE) {
+        this.evictedSequence = this.eventBuffer.shift().seq;
       }
     }
+
+    appState.sendToClients(this.getSubscriberIds(), event);
+    webhookManager.dispatch(event);
+  }
+
+  // Buffered broadcasts after lastSeq up to toSeq, or null when some of them
+  // have already been dropped from the buffer
+  getEventsSince(lastSeq, toSeq = this.sequence) {
+    if (lastSeq < this.evictedSequence) {
+      return null;
+    }
+    return this.eventBuffer.filter((event) => event.seq > lastSeq && event.seq <= toSeq);
+  }
+
+  getRecentMessages(limit) {
+    return historyStore.getMessages(this.id, { limit }).items;
+  }
+
+  broadcastFrame(frame) {
+    return appState.broadcastFrame(this.getSubscriberIds(), frame);
+  }
+
+  recordPrompt(prompt) {
+    this.promptHistory.push({ prompt, timestamp: Date.now() });
+
+    if (this.promptHistory.length > 100) {
+      this.promptHistory = this.promptHistory.slice(-100);
+    }
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      createdAt: this.createdAt,
+      autonomous: this.autonomous,
+      streamStatus: this.streamStatus,
+      streamHealth: this.watchdog.state,
+      subscribers: this.getSubscriberIds().length,
+      relayViewers: this.whepRelay.getViewerCount(),
+      lastPrompt: this.promptHistory[this.promptHistory.length - 1]?.prompt || null,
+      playlist: this.playlistPlayer.playlist?.name || null,
+      currentStream: this.currentStream ? {
+        id: this.currentStream.id,
+        startTime: this.currentStream.startTime,
+        duration: Date.now() - this.currentStream.startTime
+      } : null
+    };
   }
 }
 
+// Instructions sent to the LLM for each step of the cycle
+const LLM_SYSTEM_PROMPT = 'You are the creative director of a continuous, real-time AI video stream with an 80s retro aesthetic. ' +
+  'You reflect on what has been shown so far and decide what the stream should show next.';
+const LLM_THOUGHT_INSTRUCTION = 'In one or two short sentences, think out loud about where the visuals should go next.';
+const LLM_PROMPT_INSTRUCTION = 'Based on that thought, write a single text-to-video prompt of at most 60 words. ' +
+  'Reply with the prompt only, without quotes or commentary.';
+
 // LLM Bot class for managing AI conversation
 class LLMBot {
-  constructor() {
-    this.conversationHistory = [];
+  constructor(session) {
+    this.session = session;
+    this.llm = new LLMClient(CONFIG.LLM_API_BASE, {
+      apiKey: CONFIG.LLM_API_KEY,
+      model: CONFIG.LLM_MODEL,
+      timeout: CONFIG.LLM_TIMEOUT
+    });
+    this.conversationHistory = []; // Chat messages sent to the LLM as context
     this.currentThought = '';
     this.lastPrompt = '';
     this.cycleInterval = null;
+    this.paused = false;
+    this.direction = null; // Creative direction set by operators
+    this.pinnedWords = []; // Words every prompt must contain
+    this.bannedWords = []; // Words removed from every prompt
     this.thoughtPatterns = [
       "Analyzing visual aesthetics and trending motifs...",
       "Considering color palettes that evoke specific emotions...",
@@ -145,10 +817,14 @@ class LLMBot {
   }
 
   start() {
-    logger.info('Starting LLM Bot cycle');
+    if (this.cycleInterval) {
+      return;
+    }
+    logger.info(`Starting LLM Bot cycle for session ${this.session.id}`);
+    this.paused = false;
     this.cycleInterval = setInterval(() => {
       this.processCycle();
-    }, CONFIG.LLM_CYCLE_INTERVAL);
+    }, this.session.getSettings().cycleInterval);
     
     // Start immediately
     setTimeout(() => this.processCycle(), 1000);
@@ -159,29 +835,150 @@ class LLMBot {
       clearInterval(this.cycleInterval);
       this.cycleInterval = null;
     }
-    logger.info('LLM Bot cycle stopped');
+    this.paused = false;
+    logger.info(`LLM Bot cycle stopped for session ${this.session.id}`);
+  }
+
+  pause() {
+    if (this.cycleInterval) {
+      this.paused = true;
+      logger.info(`LLM Bot cycle paused for session ${this.session.id}`);
+    }
+  }
+
+  resume() {
+    if (this.paused) {
+      this.paused = false;
+      logger.info(`LLM Bot cycle resumed for session ${this.session.id}`);
+    }
+  }
+
+  // A playing playlist takes the place of the bot's cycles
+  get active() {
+    return !!this.cycleInterval && !this.paused && !this.session.playlistPlayer.active;
+  }
+
+  getStatus() {
+    return {
+      state: !this.cycleInterval ? 'stopped' : (this.paused ? 'paused' : 'running'),
+      mode: this.session.autonomous ? 'autonomous' : 'manual',
+      cycleInterval: this.session.getSettings().cycleInterval,
+      direction: this.direction,
+      pinnedWords: this.pinnedWords,
+      bannedWords: this.bannedWords,
+      lastPrompt: this.lastPrompt || null
+    };
+  }
+
+  // Takes parsed BOT_SETTINGS_SCHEMA values, applied from the next step on
+  steer({ direction, pinnedWords, bannedWords }) {
+    const pinned = pinnedWords === undefined ? this.pinnedWords : (pinnedWords || []);
+    const banned = bannedWords === undefined ? this.bannedWords : (bannedWords || []);
+    const conflicts = pinned.filter((word) => banned.some((other) => other.toLowerCase() === word.toLowerCase()));
+    if (conflicts.length > 0) {
+      throw new ConfigError([{ key: 'pinnedWords', message: `cannot also be banned: ${conflicts.join(', ')}` }]);
+    }
+
+    if (direction !== undefined) {
+      this.direction = direction || null;
+    }
+    this.pinnedWords = pinned;
+    this.bannedWords = banned;
+    logger.info(`LLM Bot of session ${this.session.id} steered: ${JSON.stringify({ direction: this.direction, pinned, banned })}`);
+  }
+
+  // Operator steering appended to the system prompt
+  buildSteeringInstruction() {
+    const instructions = [];
+    if (this.direction) {
+      instructions.push(`Follow this creative direction from the operator: ${this.direction}.`);
+    }
+    if (this.pinnedWords.length > 0) {
+      instructions.push(`Every prompt must include these words: ${this.pinnedWords.join(', ')}.`);
+    }
+    if (this.bannedWords.length > 0) {
+      instructions.push(`Never use these words: ${this.bannedWords.join(', ')}.`);
+    }
+    return instructions.join(' ');
+  }
+
+  // Enforce the vocabulary even when the LLM ignores it, or for template prompts
+  applyVocabulary(prompt) {
+    let result = prompt;
+    for (const word of this.bannedWords) {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      result = result.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'giu'), '$1');
+    }
+    result = result
+      .replace(/\s+([,.])/g, '$1')
+      .replace(/,(\s*,)+/g, ',')
+      .replace(/\s{2,}/g, ' ')
+      .replace(/^[\s,]+|[\s,]+$/g, '');
+
+    const missing = this.pinnedWords.filter((word) => !result.toLowerCase().includes(word.toLowerCase()));
+    if (missing.length > 0) {
+      result = `${result}, ${missing.join(', ')}`;
+    }
+    return result;
+  }
+
+  // Pick up a changed cycle interval without starting a cycle right away
+  restartCycle() {
+    if (!this.cycleInterval) {
+      return;
+    }
+    clearInterval(this.cycleInterval);
+    this.cycleInterval = setInterval(() => {
+      this.processCycle();
+    }, this.session.getSettings().cycleInterval);
   }
 
   async processCycle() {
+    if (!this.active) {
+      return;
+    }
+
     try {
       // Generate thought
+      const endThought = metrics.llmStepDuration.startTimer({ step: 'thought' });
       await this.generateThought();
+      const thoughtSeconds = endThought();
       
       // Wait a bit, then generate prompt
       setTimeout(async () => {
-        await this.generatePrompt();
-        
-        // Trigger video generation if no frames coming
-        if (!appState.frameStreamer.hasActiveFrames()) {
-          setTimeout(() => {
-            videoGenerator.requestGeneration(this.lastPrompt);
-          }, 2000);
+        try {
+          const endPrompt = metrics.llmStepDuration.startTimer({ step: 'prompt' });
+          await this.generatePrompt();
+          // The pauses between steps are left out of the cycle duration
+          metrics.llmCycleDuration.observe({ session: this.session.id }, thoughtSeconds + endPrompt());
+        } catch (error) {
+          // Nothing awaits this timer, so the cycle's own catch never sees it
+          logger.error('Error in LLM cycle:', error);
+          this.session.broadcast({
+            type: 'error',
+            content: 'LLM processing error occurred',
+            timestamp: Date.now()
+          });
+          return;
         }
+
+        // Steer the live stream, or start one if no frames are coming
+        setTimeout(() => {
+          // Paused or stopped while this cycle was running
+          if (!this.active) return;
+          this.session.submitPrompt(this.lastPrompt, 'llm').catch((error) => {
+            if (error instanceof PromptQueueError) {
+              logger.warn(`LLM prompt not queued: ${error.message}`);
+            } else if (!(error instanceof ModerationError)) {
+              logger.error('Failed to submit LLM prompt:', error);
+            }
+          });
+        }, 2000);
       }, 2000);
       
     } catch (error) {
       logger.error('Error in LLM cycle:', error);
-      appState.broadcast({
+      this.session.broadcast({
         type: 'error',
         content: 'LLM processing error occurred',
         timestamp: Date.now()
@@ -189,21 +986,105 @@ class LLMBot {
     }
   }
 
-  async generateThought() {
-    // Simulate LLM thinking process
-    const thought = this.thoughtPatterns[Math.floor(Math.random() * this.thoughtPatterns.length)];
-    this.currentThought = thought;
-    
-    appState.broadcast({
-      type: 'thought',
-      content: thought,
+  async generateThought() {
+    const messageId = uuidv4();
+    let thought = null;
+
+    try {
+      thought = await this.llm.streamChat(
+        [...this.buildContext(), { role: 'user', content: LLM_THOUGHT_INSTRUCTION }],
+        {
+          // Stream partial thought text so clients can render it as it arrives
+          onToken: (token) => {
+            this.session.broadcast({
+              type: 'thought_token',
+              messageId,
+              content: token,
+              timestamp: Date.now()
+            });
+          }
+        }
+      );
+    } catch (error) {
+      logger.warn(`LLM unavailable, using template thought: ${error.message}`);
+      metrics.llmFallbacks.inc({ step: 'thought' });
+    }
+
+    if (!thought) {
+      thought = this.generateTemplateThought();
+    }
+
+    this.currentThought = thought;
+    this.remember('user', LLM_THOUGHT_INSTRUCTION);
+    this.remember('assistant', thought);
+
+    this.session.broadcast({
+      type: 'thought',
+      messageId,
+      content: thought,
+      timestamp: Date.now()
+    });
+
+    logger.info(`LLM Thought: ${thought}`);
+  }
+
+  async generatePrompt() {
+    let prompt = null;
+
+    try {
+      prompt = await this.llm.streamChat(
+        [...this.buildContext(), { role: 'user', content: LLM_PROMPT_INSTRUCTION }]
+      );
+      // Models like to wrap the prompt in quotes despite being told not to
+      prompt = prompt.replace(/^["'\s]+|["'\s]+$/g, '');
+    } catch (error) {
+      logger.warn(`LLM unavailable, using template prompt: ${error.message}`);
+      metrics.llmFallbacks.inc({ step: 'prompt' });
+    }
+
+    if (!prompt) {
+      prompt = this.generateTemplatePrompt();
+      if (this.direction) {
+        prompt = `${prompt}, ${this.direction}`;
+      }
+    }
+    prompt = this.applyVocabulary(prompt);
+
+    this.lastPrompt = prompt;
+    this.remember('user', LLM_PROMPT_INSTRUCTION);
+    this.remember('assistant', prompt);
+
+    this.session.broadcast({
+      type: 'prompt',
+      content: prompt,
       timestamp: Date.now()
     });
-    
-    logger.info(`LLM Thought: ${thought}`);
+
+    logger.info(`Generated Prompt: ${prompt}`);
   }
 
-  async generatePrompt() {
+  buildContext() {
+    const steering = this.buildSteeringInstruction();
+    return [
+      { role: 'system', content: steering ? `${LLM_SYSTEM_PROMPT} ${steering}` : LLM_SYSTEM_PROMPT },
+      ...this.conversationHistory
+    ];
+  }
+
+  remember(role, content) {
+    this.conversationHistory.push({ role, content });
+
+    if (this.conversationHistory.length > CONFIG.LLM_HISTORY_LENGTH) {
+      this.conversationHistory = this.conversationHistory.slice(-CONFIG.LLM_HISTORY_LENGTH);
+    }
+  }
+
+  // Fallback used when the LLM endpoint is unreachable
+  generateTemplateThought() {
+    return this.thoughtPatterns[Math.floor(Math.random() * this.thoughtPatterns.length)];
+  }
+
+  generateTemplatePrompt() {
     // Generate creative prompt based on current thought
     const adjectives = ['cyberpunk', 'ethereal', 'dramatic', 'surreal', 'vibrant', 'mystical'];
     const settings = ['cityscape', 'forest', 'ocean depths', 'space station', 'mountain peak', 'desert'];
@@ -212,7 +1093,7 @@ class LLMBot {
     
     const template = this.promptTemplates[Math.floor(Math.random() * this.promptTemplates.length)];
     
-    const prompt = template
+    return template
       .replace('{adjective}', adjectives[Math.floor(Math.random() * adjectives.length)])
       .replace('{setting}', settings[Math.floor(Math.random() * settings.length)])
       .replace('{elements}', elements[Math.floor(Math.random() * elements.length)])
@@ -227,56 +1108,181 @@ class LLMBot {
       .replace('{effects}', 'particle effects')
       .replace('{mood}', 'dramatic')
       .replace('{format}', 'seamless loop');
+  }
+}
 
-    this.lastPrompt = prompt;
-    
-    appState.broadcast({
-      type: 'prompt',
-      content: prompt,
-      timestamp: Date.now()
-    });
-    
-    logger.info(`Generated Prompt: ${prompt}`);
+// Video API request, aborted after VIDEO_API_TIMEOUT
+async function fetchVideoApi(pathname, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG.VIDEO_API_TIMEOUT);
+
+  try {
+    return await fetch(`${CONFIG.VIDEO_API_BASE}${pathname}`, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Video API request timed out after ${CONFIG.VIDEO_API_TIMEOUT}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
   }
 }
 
 // Video generation API handler
 class VideoGenerator {
-  constructor() {
+  constructor(session) {
+    this.session = session;
     this.currentStreamId = null;
+    this.currentPrompt = null;
     this.whepConnection = null;
-    this.generationTimeout = null;
+    this.generationTimeout = null; // Bounds the connect attempt, cleared once the stream connects
+    this.generationTimedOut = false;
+    this.currentRun = null; // History record of the running generation
+    this.recording = null;
+    this.endStartupTimer = null; // Observes the startup latency once the stream connects
+  }
+
+  // Count the outcome of a generation attempt, once per attempt
+  recordOutcome(outcome) {
+    if (outcome === 'success' && this.endStartupTimer) {
+      this.endStartupTimer();
+    }
+    this.endStartupTimer = null;
+    metrics.generationOutcomes.inc({ session: this.session.id, outcome });
+  }
+
+  startRecording() {
+    if (!CONFIG.RECORDING_ENABLED || this.recording) {
+      return;
+    }
+
+    this.recording = recordingStore.start({
+      sessionId: this.session.id,
+      generationId: this.currentRun?.id || null,
+      streamId: this.currentStreamId,
+      prompt: this.currentPrompt
+    });
+    if (this.currentRun) {
+      this.currentRun = historyStore.updateGeneration(this.currentRun.id, { recordingId: this.recording.id });
+    }
+  }
+
+  async stopRecording() {
+    const recording = this.recording;
+    if (!recording) {
+      return;
+    }
+    this.recording = null;
+
+    const metadata = await recordingStore.stop(recording.id);
+    if (!metadata || metadata.status !== 'complete') {
+      return;
+    }
+
+    // Browsers cannot play MJPEG in <video>, those stay listed in /api/recordings only
+    if (metadata.format !== 'mp4') {
+      return;
+    }
+
+    const url = `/recordings/${metadata.id}`;
+    this.session.currentVideo = url;
+    this.session.broadcast({
+      type: 'recording_available',
+      data: {
+        id: metadata.id,
+        url,
+        format: metadata.format,
+        mimeType: metadata.mimeType,
+        prompt: metadata.prompt,
+        prompts: metadata.prompts,
+        generationId: metadata.generationId
+      },
+      timestamp: Date.now()
+    });
+  }
+
+  // Generation lifecycle events for API clients and webhooks: started,
+  // connected, then one of ended, timeout or error
+  broadcastLifecycle(event, details = {}) {
+    this.session.broadcast({
+      type: 'generation',
+      data: {
+        event,
+        generationId: this.currentRun?.id || null,
+        streamId: this.currentStreamId || null,
+        prompt: this.currentPrompt || null,
+        ...details
+      },
+      timestamp: Date.now()
+    });
+  }
+
+  // Close the history record of the current run, once
+  finishRun(outcome, error = null) {
+    if (!this.currentRun) {
+      return;
+    }
+
+    historyStore.endGeneration(this.currentRun.id, {
+      outcome,
+      frameCount: this.whepConnection?.frameCount,
+      error
+    });
+    const event = { timeout: 'timeout', failed: 'error' }[outcome] || 'ended';
+    this.broadcastLifecycle(event, { outcome, error });
+    this.currentRun = null;
+    this.stopRecording().catch((error) => {
+      logger.error('Failed to finish recording:', error);
+    });
   }
 
+  // Resolves true once the stream is connected, false if it could not start
   async requestGeneration(prompt) {
-    if (appState.generationInProgress) {
+    if (this.session.generationInProgress) {
       logger.info('Generation already in progress, skipping');
-      return;
+      return false;
+    }
+    // Release a connection still open from the previous stream, e.g. after a timeout
+    if (this.whepConnection) {
+      this.stopCurrentGeneration();
     }
 
+    let step = 'api'; // Which part failed, for the outcome metric
+    this.generationTimedOut = false;
     try {
-      appState.generationInProgress = true;
-      appState.streamStatus = 'starting';
+      this.session.generationInProgress = true;
+      this.session.streamStatus = 'starting';
       
-      appState.broadcast({
+      this.session.broadcast({
         type: 'video_generation',
         content: `Starting video generation: "${prompt}"`,
         timestamp: Date.now()
       });
 
-      logger.info(`Requesting video generation with prompt: ${prompt}`);
+      logger.info(`Requesting video generation for session ${this.session.id} with prompt: ${prompt}`);
+      this.session.recordPrompt(prompt);
+      this.currentPrompt = prompt;
+      this.currentRun = historyStore.startGeneration({ sessionId: this.session.id, prompt });
+      this.endStartupTimer = metrics.generationStartup.startTimer({ session: this.session.id });
+      this.broadcastLifecycle('started');
       
-      const response = await fetch(`${CONFIG.VIDEO_API_BASE}/ai/stream/start`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          prompt: prompt,
-          quality: 'high',
-          duration: 10
-        })
-      });
+      const endRequest = metrics.videoApiDuration.startTimer({ endpoint: 'start' });
+      let response;
+      try {
+        response = await fetchVideoApi('/ai/stream/start', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            prompt: prompt,
+            quality: this.session.getSettings().quality,
+            duration: this.session.getSettings().duration
+          })
+        });
+      } finally {
+        endRequest({ result: response?.ok ? 'ok' : 'error' });
+      }
 
       if (!response.ok) {
         throw new Error(`Video API responded with status: ${response.status}`);
@@ -285,33 +1291,42 @@ class VideoGenerator {
       const data = await response.json();
       this.currentStreamId = data.stream_id;
       const whepUrl = data.whep_url;
+      this.currentRun = historyStore.updateGeneration(this.currentRun.id, { streamId: this.currentStreamId });
 
       logger.info(`Video generation started. Stream ID: ${this.currentStreamId}, WHEP URL: ${whepUrl}`);
       
-      appState.broadcast({
+      this.session.broadcast({
         type: 'video_generation',
         content: `Video generation initiated. Stream ID: ${this.currentStreamId}`,
         timestamp: Date.now()
       });
 
-      // Start WHEP connection
-      await this.startWhepConnection(whepUrl);
-      
-      // Set timeout for generation
+      // Start WHEP connection, which has until the generation timeout to connect
+      step = 'whep';
       this.generationTimeout = setTimeout(() => {
         this.handleGenerationTimeout();
       }, CONFIG.GENERATION_TIMEOUT);
+      await this.startWhepConnection(whepUrl);
+      return true;
 
     } catch (error) {
+      this.clearGenerationTimeout();
+      // The timeout already tore the attempt down and reported it
+      if (this.generationTimedOut) {
+        return false;
+      }
       logger.error('Video generation request failed:', error);
-      appState.streamStatus = 'error';
-      appState.generationInProgress = false;
+      this.recordOutcome(step === 'whep' ? 'whep_failure' : 'api_error');
+      this.finishRun('failed', error.message);
+      this.session.streamStatus = 'error';
+      this.session.endGeneration();
       
-      appState.broadcast({
+      this.session.broadcast({
         type: 'error',
         content: `Video generation failed: ${error.message}`,
         timestamp: Date.now()
       });
+      return false;
     }
   }
 
@@ -319,68 +1334,141 @@ class VideoGenerator {
     try {
       logger.info(`Connecting to WHEP endpoint: ${whepUrl}`);
       
-      // Create WHEP client
-      this.whepConnection = new WHEPClient(whepUrl, {
-        timeout: CONFIG.GENERATION_TIMEOUT
+      // Create WHEP client. A stream that ended upstream is closed instead of reconnected.
+      const connectingStreamId = this.currentStreamId;
+      this.whepConnection = new WHEPFrameExtractor(whepUrl, {
+        isSessionEnded: async () => isTerminalUpstreamStatus(await this.checkStreamStatus(connectingStreamId)),
+        timeout: CONFIG.WHEP_TIMEOUT,
+        token: CONFIG.WHEP_TOKEN,
+        maxReconnectAttempts: CONFIG.MAX_RECONNECT_ATTEMPTS,
+        iceServers: CONFIG.ICE_SERVERS,
+        jpegQuality: CONFIG.FRAME_JPEG_QUALITY,
+        maxWidth: CONFIG.FRAME_MAX_WIDTH,
+        maxHeight: CONFIG.FRAME_MAX_HEIGHT,
+        maxQueueSize: CONFIG.FRAME_QUEUE_SIZE
       });
 
       // Set up event handlers
+      const connection = this.whepConnection;
+
+      this.whepConnection.onFrameReceived = () => {
+        this.session.frameStreamer.markReceived();
+      };
+
       this.whepConnection.onConnect = () => {
-        appState.streamStatus = 'active';
-        appState.currentStream = {
+        this.clearGenerationTimeout();
+        this.session.streamStatus = 'active';
+        this.session.currentStream = {
           id: this.currentStreamId,
           whepUrl: whepUrl,
+          prompt: this.currentPrompt,
           startTime: Date.now()
         };
         
-        appState.generationInProgress = false;
+        this.session.endGeneration();
+        this.startRecording();
+        if (this.endStartupTimer) {
+          this.recordOutcome('success');
+        }
         
-        appState.broadcast({
+        this.session.broadcast({
           type: 'video_generation',
           content: 'WHEP connection established, receiving video frames',
           timestamp: Date.now()
         });
+        this.broadcastLifecycle('connected');
         
         logger.info('WHEP connection established successfully');
       };
 
-      this.whepConnection.onFrame = (frameData) => {
-        // Forward frame to frame streamer
-        appState.frameStreamer.processIncomingFrame(frameData);
+      this.whepConnection.onTrack = async (track) => {
+        const streamId = this.currentStreamId;
+        await this.session.whepRelay.setSource(streamId, track);
+
+        this.session.broadcast({
+          type: 'relay_available',
+          data: {
+            streamId,
+            timestamp: Date.now()
+          }
+        });
       };
 
       this.whepConnection.onError = (error) => {
         logger.error('WHEP connection error:', error);
-        appState.streamStatus = 'error';
+        this.session.streamStatus = 'error';
         
-        appState.broadcast({
+        this.session.broadcast({
           type: 'error',
           content: `WHEP connection error: ${error.message}`,
           timestamp: Date.now()
         });
       };
 
+      this.whepConnection.onReconnecting = ({ method, attempt, maxAttempts, delay }) => {
+        this.session.streamStatus = 'reconnecting';
+        metrics.whepReconnects.inc({ session: this.session.id, method });
+
+        this.session.broadcast({
+          type: 'whep_reconnect',
+          content: method === 'ice_restart'
+            ? 'Stream connection interrupted, restarting ICE'
+            : `Reconnecting to stream in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${maxAttempts})`,
+          data: { state: 'reconnecting', method, attempt, maxAttempts, delay },
+          timestamp: Date.now()
+        });
+      };
+
+      this.whepConnection.onReconnected = () => {
+        this.session.streamStatus = 'active';
+
+        this.session.broadcast({
+          type: 'whep_reconnect',
+          content: 'Stream connection recovered',
+          data: { state: 'reconnected' },
+          timestamp: Date.now()
+        });
+      };
+
       this.whepConnection.onDisconnect = (reason) => {
         logger.info(`WHEP disconnected: ${reason}`);
-        appState.frameStreamer.stopReceiving();
-        appState.streamStatus = 'idle';
+        metrics.whepDisconnects.inc({ session: this.session.id, reason });
+        this.finishRun(reason === 'failed' ? 'disconnected' : 'completed');
+        connection.closeFrameQueue();
+        this.session.currentStream = null;
+        if (reason === 'failed') {
+          this.session.broadcast({
+            type: 'whep_reconnect',
+            content: 'Could not reconnect to stream, giving up',
+            data: { state: 'failed' },
+            timestamp: Date.now()
+          });
+        }
+
+        this.session.frameStreamer.stopReceiving();
+        this.session.whepRelay.clearSource();
+        this.session.streamStatus = 'idle';
         
-        appState.broadcast({
+        this.session.broadcast({
           type: 'video_generation',
           content: `Stream disconnected: ${reason}`,
           timestamp: Date.now()
         });
       };
 
-      // Attempt connection
+      // Attempt connection, then let the frame streamer pull decoded frames
       await this.whepConnection.connect();
+      this.session.frameStreamer.consume(this.whepConnection);
 
     } catch (error) {
+      if (this.generationTimedOut) {
+        throw error;
+      }
       logger.error('WHEP connection failed:', error);
-      appState.streamStatus = 'error';
-      appState.generationInProgress = false;
+      this.session.streamStatus = 'error';
+      this.session.endGeneration();
       
-      appState.broadcast({
+      this.session.broadcast({
         type: 'error',
         content: `WHEP connection failed: ${error.message}`,
         timestamp: Date.now()
@@ -390,49 +1478,130 @@ class VideoGenerator {
     }
   }
 
-  async checkStreamStatus() {
-    if (!this.currentStreamId) return null;
+  // Switch the prompt of the running stream, blending over the configured
+  // transition. Resolves like requestGeneration.
+  async updatePrompt(prompt) {
+    const streamId = this.currentStreamId;
+
+    try {
+      this.session.generationInProgress = true;
+      logger.info(`Updating prompt of stream ${streamId}: ${prompt}`);
+      this.session.recordPrompt(prompt);
+
+      const endRequest = metrics.videoApiDuration.startTimer({ endpoint: 'update' });
+      let response;
+      try {
+        response = await fetchVideoApi(`/ai/stream/${streamId}/update`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            prompt: prompt,
+            transition: {
+              type: CONFIG.PROMPT_TRANSITION_TYPE,
+              duration_ms: CONFIG.PROMPT_TRANSITION_MS
+            }
+          })
+        });
+      } finally {
+        endRequest({ result: response?.ok ? 'ok' : 'error' });
+      }
+
+      if (!response.ok) {
+        throw new Error(`Video API responded with status: ${response.status}`);
+      }
+
+      this.currentPrompt = prompt;
+      if (this.session.currentStream) {
+        this.session.currentStream.prompt = prompt;
+      }
+      if (this.currentRun) {
+        this.currentRun = historyStore.addGenerationPrompt(this.currentRun.id, prompt);
+      }
+      this.recording?.addPrompt(prompt);
+
+      this.session.broadcast({
+        type: 'video_generation',
+        content: `Live prompt updated: "${prompt}"`,
+        timestamp: Date.now()
+      });
+
+      this.session.endGeneration();
+      return true;
+
+    } catch (error) {
+      logger.error('Prompt update failed, restarting stream:', error);
+      this.session.broadcast({
+        type: 'error',
+        content: `Prompt update failed: ${error.message}. Starting a new stream instead`,
+        timestamp: Date.now()
+      });
+
+      // The stream may be gone upstream, fall back to a fresh generation
+      this.stopCurrentGeneration();
+      return this.requestGeneration(prompt);
+    }
+  }
+
+  async checkStreamStatus(streamId = this.currentStreamId) {
+    if (!streamId) return null;
     
     try {
-      const response = await fetch(`${CONFIG.VIDEO_API_BASE}/ai/stream/${this.currentStreamId}/status`);
+      const response = await fetchVideoApi(`/ai/stream/${streamId}/status`);
       if (response.ok) {
         return await response.json();
       }
+      if (response.status === 404) {
+        return { status: 'not_found' };
+      }
     } catch (error) {
       logger.error('Stream status check failed:', error);
     }
     return null;
   }
 
+  // The stream did not connect in time: release the half-open WHEP session
+  // so the next prompt starts a fresh stream
   handleGenerationTimeout() {
-    logger.warn('Video generation timeout reached');
-    appState.broadcast({
+    this.generationTimeout = null;
+    this.generationTimedOut = true;
+    logger.warn(`Stream ${this.currentStreamId} did not connect within ${CONFIG.GENERATION_TIMEOUT}ms, closing it`);
+    metrics.generationTimeouts.inc({ session: this.session.id });
+    this.recordOutcome('timeout');
+    this.finishRun('timeout', 'Stream did not start in time');
+    this.session.broadcast({
       type: 'error',
-      content: 'Video generation timeout - retrying with adjusted parameters',
+      content: `Video generation timed out, the stream did not connect within ${CONFIG.GENERATION_TIMEOUT / 1000}s`,
       timestamp: Date.now()
     });
-    
-    appState.streamStatus = 'idle';
-    appState.generationInProgress = false;
-    this.currentStreamId = null;
+
+    this.stopCurrentGeneration();
+    this.session.endGeneration();
   }
 
-  stopCurrentGeneration() {
+  clearGenerationTimeout() {
     if (this.generationTimeout) {
       clearTimeout(this.generationTimeout);
       this.generationTimeout = null;
     }
+  }
+
+  stopCurrentGeneration() {
+    this.clearGenerationTimeout();
     
+    this.finishRun('stopped');
     if (this.whepConnection) {
       this.whepConnection.disconnect();
       this.whepConnection = null;
     }
     
-    appState.frameStreamer.stopReceiving();
-    appState.streamStatus = 'idle';
-    appState.currentStream = null;
+    this.session.whepRelay.clearSource();
+    this.session.frameStreamer.stopReceiving();
+    this.session.streamStatus = 'idle';
+    this.session.currentStream = null;
     this.currentStreamId = null;
-    appState.generationInProgress = false;
+    this.session.generationInProgress = false;
     
     logger.info('Video generation stopped');
   }
@@ -440,12 +1609,16 @@ class VideoGenerator {
 
 // Frame streaming handler
 class FrameStreamer {
-  constructor() {
+  constructor(session) {
+    this.session = session;
     this.frameInterval = null;
     this.waitingImage = null;
     this.hasFrames = false;
     this.frameCount = 0;
     this.currentFrame = null; // Store current frame for frontend
+    this.frameSource = null; // Frame extractor currently being consumed
+    this.receivedRate = new RateMeter();
+    this.broadcastRate = new RateMeter();
     this.loadWaitingImage();
   }
 
@@ -475,49 +1648,81 @@ class FrameStreamer {
     logger.info(`Started receiving frames for stream: ${streamId}`);
   }
 
-  processIncomingFrame(frameData) {
-    if (!appState.currentStream) {
+  // Pull frames from the extractor at the target frame rate. The extractor drops
+  // stale frames from its queue whenever this loop falls behind.
+  async consume(extractor) {
+    this.frameSource = extractor;
+    let nextFrameAt = Date.now();
+
+    try {
+      for await (const frameData of extractor) {
+        if (this.frameSource !== extractor) {
+          break;
+        }
+
+        await this.processIncomingFrame(frameData);
+
+        // Read every frame so FRAME_RATE changes apply to the running stream
+        nextFrameAt = Math.max(nextFrameAt + 1000 / CONFIG.FRAME_RATE, Date.now());
+        const delay = nextFrameAt - Date.now();
+        if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    } catch (error) {
+      logger.error('Error consuming frames:', error);
+    } finally {
+      if (this.frameSource === extractor) {
+        this.frameSource = null;
+      }
+    }
+  }
+
+  // Counts every frame the WHEP client decodes, including those it or the
+  // paced consumer skip, so the received rate is the upstream frame rate
+  markReceived() {
+    metrics.framesReceived.inc({ session: this.session.id });
+    this.receivedRate.mark();
+  }
+
+  async processIncomingFrame(frameData) {
+    if (!this.session.currentStream || !frameData.data) {
       return;
     }
 
     this.hasFrames = true;
     this.frameCount++;
-    appState.lastFrameTime = Date.now();
-    
-    // Convert frame data to base64 for transmission
-    const frameBase64 = frameData.data ? frameData.data.toString('base64') : null;
+    this.session.lastFrameTime = Date.now();
     
     // Store current frame for frontend rendering
-    if (frameBase64) {
-      this.currentFrame = `data:image/jpeg;base64,${frameBase64}`;
-    }
+    this.currentFrame = frameData.data;
+    this.session.videoGenerator.recording?.write(frameData);
     
-    // Send frame to all connected clients
-    appState.broadcast({
-      type: 'frame',
-      data: {
-        streamId: appState.currentStream.id,
-        frameNumber: this.frameCount,
-        timestamp: Date.now(),
-        width: frameData.width || 1920,
-        height: frameData.height || 1080,
-        frameData: frameBase64
-      }
+    // Send frame to all subscribed clients
+    await this.session.broadcastFrame({
+      streamId: this.session.currentStream.id,
+      frameNumber: this.frameCount,
+      timestamp: Date.now(),
+      width: frameData.width,
+      height: frameData.height,
+      data: frameData.data
     });
+    metrics.framesBroadcast.inc({ session: this.session.id });
+    this.broadcastRate.mark();
   }
 
   processFrame(streamId) {
-    if (!appState.currentStream || appState.currentStream.id !== streamId) {
+    if (!this.session.currentStream || this.session.currentStream.id !== streamId) {
       this.stopReceiving();
       return;
     }
 
     // Simulate processing a real frame
     this.frameCount++;
-    appState.lastFrameTime = Date.now();
+    this.session.lastFrameTime = Date.now();
     
     // Send frame to all connected clients
-    appState.broadcast({
+    this.session.broadcast({
       type: 'frame',
       data: {
         streamId: streamId,
@@ -536,6 +1741,7 @@ class FrameStreamer {
   }
 
   stopReceiving() {
+    this.frameSource = null;
     if (this.frameInterval) {
       clearInterval(this.frameInterval);
       this.frameInterval = null;
@@ -545,12 +1751,12 @@ class FrameStreamer {
   }
 
   hasActiveFrames() {
-    return this.hasFrames && (Date.now() - appState.lastFrameTime < 5000);
+    return this.hasFrames && (Date.now() - this.session.lastFrameTime < CONFIG.STREAM_STALL_TIMEOUT);
   }
 
   sendWaitingFrame() {
     if (!this.hasActiveFrames()) {
-      appState.broadcast({
+      this.session.broadcast({
         type: 'waiting_frame',
         data: {
           message: 'Waiting for video frames...',
@@ -561,21 +1767,159 @@ class FrameStreamer {
   }
 }
 
+// Prometheus metrics. Gauges describing live state are read at scrape time.
+function createMetrics(registry) {
+  const latencyBuckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+  registry.gauge('krea_clients', 'Connected clients by transport', ['transport'], (gauge) => {
+    gauge.set({ transport: 'websocket' }, 0);
+    gauge.set({ transport: 'sse' }, 0);
+    appState.clients.forEach((ws) => gauge.inc({ transport: ws.transport || 'websocket' }));
+  });
+  registry.gauge('krea_session_clients', 'Clients subscribed to each session', ['session'], (gauge) => {
+    appState.sessions.forEach((session) => gauge.set({ session: session.id }, session.getSubscriberIds().length));
+  });
+  registry.gauge('krea_relay_viewers', 'WebRTC relay viewers of each session', ['session'], (gauge) => {
+    appState.sessions.forEach((session) => gauge.set({ session: session.id }, session.whepRelay.getViewerCount()));
+  });
+  registry.gauge('krea_stream_active', 'Whether each session is receiving a stream', ['session'], (gauge) => {
+    appState.sessions.forEach((session) => gauge.set({ session: session.id }, session.currentStream ? 1 : 0));
+  });
+  registry.gauge('krea_stream_health', 'Current stream health state of each session (1 for the active state)', ['session', 'state'], (gauge) => {
+    appState.sessions.forEach((session) => gauge.set({ session: session.id, state: session.watchdog.state }, 1));
+  });
+  registry.gauge('krea_frames_per_second', 'Frame rate over the last 5 seconds', ['session', 'direction'], (gauge) => {
+    appState.sessions.forEach((session) => {
+      gauge.set({ session: session.id, direction: 'received' }, session.frameStreamer.receivedRate.rate());
+      gauge.set({ session: session.id, direction: 'broadcast' }, session.frameStreamer.broadcastRate.rate());
+    });
+  });
+  registry.gauge('krea_whep_queue_dropped_frames', 'Decoded frames dropped before the streamer picked them up, for the current stream', ['session'], (gauge) => {
+    appState.sessions.forEach((session) => {
+      gauge.set({ session: session.id }, session.videoGenerator.whepConnection?.queueDroppedFrames || 0);
+    });
+  });
+  // Summed over the connected clients, so frames of clients that left drop out
+  registry.gauge('krea_client_dropped_frames', 'Frames skipped for connected clients because their connection was backed up', ['session', 'transport'], (gauge) => {
+    appState.frameSubscriptions.forEach((subscription, clientId) => {
+      const ws = appState.clients.get(clientId);
+      if (!ws) return;
+      gauge.inc({
+        session: appState.clientSessions.get(clientId),
+        transport: ws.transport || 'websocket'
+      }, subscription.droppedFrames);
+    });
+  });
+
+  return {
+    videoApiDuration: registry.histogram('krea_video_api_request_duration_seconds', 'Duration of video API requests', ['endpoint', 'result'], latencyBuckets),
+    generationStartup: registry.histogram('krea_generation_startup_seconds', 'Time from requesting a generation until its WHEP stream is connected', ['session'], latencyBuckets),
+    generationOutcomes: registry.counter('krea_generation_outcomes_total', 'Generation attempts by outcome: success, timeout, api_error or whep_failure', ['session', 'outcome']),
+    generationTimeouts: registry.counter('krea_generation_timeouts_total', 'Times the generation timeout fired', ['session']),
+    whepReconnects: registry.counter('krea_whep_reconnects_total', 'WHEP reconnect attempts by method', ['session', 'method']),
+    whepDisconnects: registry.counter('krea_whep_disconnects_total', 'WHEP disconnections by reason', ['session', 'reason']),
+    framesReceived: registry.counter('krea_frames_received_total', 'Decoded frames received from the upstream stream', ['session']),
+    framesBroadcast: registry.counter('krea_frames_broadcast_total', 'Frames broadcast to session subscribers', ['session']),
+    clientFramesSent: registry.counter('krea_client_frames_sent_total', 'Frames delivered to clients', ['transport']),
+    clientFramesDropped: registry.counter('krea_client_frames_dropped_total', 'Frames skipped for clients whose connection was backed up', ['transport']),
+    clientSendErrors: registry.counter('krea_client_send_errors_total', 'Failed sends to clients', ['transport', 'kind']),
+    streamHealthTransitions: registry.counter('krea_stream_health_transitions_total', 'Stream health transitions by new state', ['session', 'state']),
+    streamRecoveries: registry.counter('krea_stream_recoveries_total', 'Dead streams restarted by the watchdog', ['session']),
+    clientsReaped: registry.counter('krea_websocket_clients_reaped_total', 'WebSocket clients dropped for missing a heartbeat'),
+    webhookDeliveries: registry.counter('krea_webhook_deliveries_total', 'Webhook delivery attempts by result: success, retry or dead_letter', ['result']),
+    llmStepDuration: registry.histogram('krea_llm_step_duration_seconds', 'Duration of LLM thought and prompt generation', ['step'], [0.5, 1, 2.5, 5, 10, 15, 30]),
+    llmCycleDuration: registry.histogram('krea_llm_cycle_duration_seconds', 'Time an LLM cycle spends generating its thought and prompt', ['session'], [0.5, 1, 2.5, 5, 10, 15, 30, 60]),
+    llmFallbacks: registry.counter('krea_llm_fallbacks_total', 'LLM steps that fell back to a template', ['step'])
+  };
+}
+
 // Initialize global instances
+const authManager = new AuthManager({
+  apiKeys: CONFIG.API_KEYS,
+  anonymousRole: CONFIG.AUTH_ANONYMOUS_ROLE,
+  tokenTtl: CONFIG.AUTH_TOKEN_TTL
+});
+let moderationConfig;
+try {
+  moderationConfig = loadModerationConfig(CONFIG.MODERATION_CONFIG_PATH);
+} catch (error) {
+  console.error(`Invalid moderation configuration: ${error.message}`);
+  process.exit(1);
+}
+const moderationPipeline = createModerationPipeline({
+  config: moderationConfig,
+  maxLength: CONFIG.PROMPT_MAX_LENGTH,
+  externalUrl: CONFIG.MODERATION_API_URL,
+  externalApiKey: CONFIG.MODERATION_API_KEY,
+  externalTimeout: CONFIG.MODERATION_TIMEOUT,
+  failOpen: CONFIG.MODERATION_FAIL_OPEN
+});
+// Limits are applied per API key or IP, and additionally per WebSocket client
+const promptLimiter = new RateLimiter('prompt', {
+  burst: CONFIG.RATE_LIMIT_PROMPT_BURST,
+  perMinute: CONFIG.RATE_LIMIT_PROMPT_PER_MINUTE
+});
+const subscriptionLimiter = new RateLimiter('frame subscription', {
+  burst: CONFIG.RATE_LIMIT_SUBSCRIBE_BURST,
+  perMinute: CONFIG.RATE_LIMIT_SUBSCRIBE_PER_MINUTE
+});
+const authLimiter = new RateLimiter('sign-in', {
+  burst: CONFIG.RATE_LIMIT_AUTH_BURST,
+  perMinute: CONFIG.RATE_LIMIT_AUTH_PER_MINUTE
+});
+const metricsRegistry = new MetricsRegistry();
+const metrics = createMetrics(metricsRegistry);
+const historyStore = new HistoryStore(path.join(CONFIG.DATA_DIR, 'history'), {
+  maxMessages: CONFIG.HISTORY_MAX_MESSAGES,
+  maxGenerations: CONFIG.HISTORY_MAX_GENERATIONS
+});
+const recordingStore = new RecordingStore(path.join(CONFIG.DATA_DIR, 'recordings'), {
+  format: CONFIG.RECORDING_FORMAT,
+  ffmpegPath: CONFIG.FFMPEG_PATH
+});
+const webhookManager = new WebhookManager(path.join(CONFIG.DATA_DIR, 'webhooks'), {
+  eventTypes: WEBHOOK_EVENT_TYPES,
+  timeout: CONFIG.WEBHOOK_TIMEOUT,
+  maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+  retryDelay: CONFIG.WEBHOOK_RETRY_DELAY,
+  allowPrivate: CONFIG.WEBHOOK_ALLOW_PRIVATE,
+  maxDeadLetterBytes: CONFIG.WEBHOOK_DEAD_LETTER_MAX_BYTES
+});
+webhookManager.onDelivery = (result) => metrics.webhookDeliveries.inc({ result });
+try {
+  configureWebhooks();
+} catch (error) {
+  if (!(error instanceof WebhookError)) throw error;
+  console.error(`Invalid webhook configuration: ${error.message}`);
+  process.exit(1);
+}
+const playlistStore = new PlaylistStore(path.join(CONFIG.DATA_DIR, 'playlists'), {
+  getMinDuration: () => CONFIG.PROMPT_MIN_DISPLAY_MS
+});
 const appState = new AppState();
-const videoGenerator = new VideoGenerator();
+appState.createSession({ id: DEFAULT_SESSION_ID, name: 'Default' });
+
+// Subscriptions for WEBHOOK_URLS, next to the ones made through /api/webhooks
+function configureWebhooks() {
+  webhookManager.setConfigured(CONFIG.WEBHOOK_URLS, {
+    events: CONFIG.WEBHOOK_EVENTS,
+    secret: CONFIG.WEBHOOK_SECRET
+  });
+}
 
 // Express app setup
 const app = express();
+app.set('trust proxy', CONFIG.TRUST_PROXY);
 
 // Security and performance middleware
 app.use(helmet({
   contentSecurityPolicy: false // Allow inline scripts for WebSocket
 }));
 app.use(compression());
-app.use(cors());
+app.use(cors(CONFIG.CORS_ORIGIN ? { origin: CONFIG.CORS_ORIGIN, credentials: true } : undefined));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(authManager.middleware());
 
 // Frontend setup (if enabled)
 if (CONFIG.FRONTEND_ENABLED) {
@@ -590,19 +1934,87 @@ if (CONFIG.FRONTEND_ENABLED) {
 // Create HTTP server
 const server = createServer(app);
 
-// WebSocket server setup
-const wss = new WebSocketServer({ server });
+// WebSocket server setup. Origin and credentials are checked on the upgrade
+// request, so rejected clients never get an open socket.
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }, done) => {
+    if (!isAllowedOrigin(req)) {
+      rejectUpgrade(req, done, 403, `Origin not allowed: ${req.headers.origin}`);
+      return;
+    }
+    try {
+      req.auth = authManager.authenticate(req);
+      authManager.authorize(req.auth, 'viewer');
+      done(true);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        throw error;
+      }
+      rejectUpgrade(req, done, error.status, error.message);
+    }
+  }
+});
+
+function rejectUpgrade(request, done, status, message) {
+  logger.warn(`Rejected WebSocket upgrade ${redactCredentials(request.url)} from ${getRequestIp(request)}: ${message}`);
+  done(false, status, message, status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+}
+
+// Browsers send an Origin with every upgrade. Pages served by this server
+// may connect, other origins only when CORS_ORIGIN lists them, so other sites
+// cannot ride on a visitor's session cookie. Clients without an Origin are
+// not browsers and rely on their credentials.
+function isAllowedOrigin(request) {
+  const origin = request.headers.origin;
+  if (!origin || CONFIG.CORS_ORIGIN?.includes(origin)) {
+    return true;
+  }
+  try {
+    return new URL(origin).host === getRequestHost(request);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Host the client asked for, as forwarded by trusted proxies
+function getRequestHost(request) {
+  const forwardedHost = request.headers['x-forwarded-host'];
+  if (CONFIG.TRUST_PROXY > 0 && forwardedHost) {
+    const hops = forwardedHost.split(',').map((host) => host.trim());
+    return hops[Math.max(0, hops.length - CONFIG.TRUST_PROXY)];
+  }
+  return request.headers.host;
+}
 
 wss.on('connection', (ws, request) => {
+  ws.auth = request.auth;
+  ws.ip = getRequestIp(request);
+  ws.isAlive = true;
   const clientId = uuidv4();
-  appState.addClient(ws, clientId);
+  const { searchParams } = new URL(request.url, 'http://localhost');
+  appState.addClient(ws, clientId, searchParams.get('session'));
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
 
   ws.on('message', (message) => {
+    ws.isAlive = true;
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      logger.warn(`Invalid JSON from client ${clientId}: ${error.message}`);
+      replyError(clientId, {}, 'invalid_json', 'Messages must be JSON objects');
+      return;
+    }
+
     try {
-      const data = JSON.parse(message.toString());
       handleClientMessage(clientId, data);
     } catch (error) {
-      logger.error('Error parsing client message:', error);
+      logger.error(`Error handling ${data.type} message from client ${clientId}:`, error);
+      replyError(clientId, data, 'internal_error', 'Internal server error');
     }
   });
 
@@ -616,29 +2028,202 @@ wss.on('connection', (ws, request) => {
   });
 });
 
+// Same rules as Express' req.ip, which the upgrade request does not have.
+// Each trusted proxy appends one entry, anything further left came from the client.
+function getRequestIp(request) {
+  const forwardedFor = request.headers['x-forwarded-for'];
+  if (CONFIG.TRUST_PROXY > 0 && forwardedFor) {
+    const hops = forwardedFor.split(',').map((address) => address.trim());
+    return hops[Math.max(0, hops.length - CONFIG.TRUST_PROXY)];
+  }
+  return request.socket.remoteAddress;
+}
+
+// Client messages that start GPU work or frame delivery are rate limited
+const CLIENT_MESSAGE_LIMITERS = {
+  start_generation: promptLimiter,
+  subscribe_frames: subscriptionLimiter
+};
+
+// Minimum role for client messages, all other messages only need viewer access
+const CLIENT_MESSAGE_ROLES = {
+  start_generation: 'operator',
+  stop_generation: 'operator',
+  bot_control: 'operator',
+  update_bot: 'operator',
+  update_settings: 'operator'
+};
+
+// Replies to a client message carry its requestId, see public/js/protocol.js
+function replyToClient(clientId, request, message) {
+  appState.sendToClient(clientId, request?.requestId ? { ...message, requestId: request.requestId } : message);
+}
+
+// Only requests with a requestId are acknowledged
+function acknowledge(clientId, request, data = null) {
+  if (request.requestId) {
+    replyToClient(clientId, request, { type: 'ack', data, timestamp: Date.now() });
+  }
+}
+
+function replyError(clientId, request, code, content, data = null) {
+  replyToClient(clientId, request, {
+    type: 'error',
+    code,
+    content,
+    ...(data && { data }),
+    timestamp: Date.now()
+  });
+}
+
+function replyConfigError(clientId, request, label, error) {
+  if (!(error instanceof ConfigError)) throw error;
+  replyError(clientId, request, 'invalid_settings',
+    `Invalid ${label}: ${error.errors.map(({ key, message }) => `${key} ${message}`).join(', ')}`,
+    error.toJSON());
+}
+
 // Handle client messages
 function handleClientMessage(clientId, data) {
+  const session = appState.getClientSession(clientId);
+
+  const { known, errors } = validateClientMessage(data);
+  if (!known) {
+    logger.warn(`Unknown message type from client ${clientId}: ${data?.type}`);
+    replyError(clientId, data, 'unknown_type', `Unknown message type: ${data?.type}`);
+    return;
+  }
+  if (errors.length > 0) {
+    replyError(clientId, data, 'invalid_message', `Invalid ${data.type} message: ${formatValidationErrors(errors)}`, { errors });
+    return;
+  }
+
+  const requiredRole = CLIENT_MESSAGE_ROLES[data.type];
+  if (requiredRole && !hasRole(appState.getClientRole(clientId), requiredRole)) {
+    replyError(clientId, data, 'forbidden', `The ${requiredRole} role is required for ${data.type}`);
+    return;
+  }
+
+  const limiter = CLIENT_MESSAGE_LIMITERS[data.type];
+  if (limiter) {
+    const ws = appState.clients.get(clientId);
+    const { allowed, retryAfter } = limiter.consume([callerKey(ws.auth, ws.ip), `client:${clientId}`]);
+    if (!allowed) {
+      replyToClient(clientId, data, {
+        type: 'rate_limited',
+        content: `Too many ${limiter.name} requests, retry in ${retryAfter}s`,
+        data: { action: data.type, retryAfter },
+        timestamp: Date.now()
+      });
+      return;
+    }
+  }
+
   switch (data.type) {
+    case 'hello': {
+      const ws = appState.clients.get(clientId);
+      if (!SUPPORTED_PROTOCOL_VERSIONS.includes(data.protocolVersion)) {
+        replyError(clientId, data, 'unsupported_version',
+          `Protocol version ${data.protocolVersion} is not supported, expected one of: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`,
+          { supportedVersions: SUPPORTED_PROTOCOL_VERSIONS });
+        // 4426 mirrors 426 Upgrade Required
+        ws.close(4426, 'Unsupported protocol version');
+        break;
+      }
+      ws.protocolVersion = data.protocolVersion;
+      logger.info(`Client ${clientId} speaks protocol v${data.protocolVersion}${data.client ? ` (${data.client})` : ''}`);
+      acknowledge(clientId, data, {
+        protocolVersion: data.protocolVersion,
+        clientId,
+        sessionId: session.id,
+        role: appState.getClientRole(clientId)
+      });
+      break;
+    }
     case 'start_generation':
-      if (data.prompt) {
-        videoGenerator.requestGeneration(data.prompt);
+      // Rejections are also broadcast to the session as error messages
+      session.submitPrompt(data.prompt, 'manual').then(({ item, duplicate }) => {
+        acknowledge(clientId, data, { queueItem: item, duplicate });
+      }, (error) => {
+        if (error instanceof ModerationError) {
+          replyError(clientId, data, 'moderation_rejected', `Prompt rejected: ${error.message}`, error.toJSON());
+          return;
+        }
+        if (error instanceof PromptQueueError) {
+          replyError(clientId, data, 'queue_full', error.message);
+          return;
+        }
+        logger.error('Failed to submit prompt:', error);
+        replyError(clientId, data, 'internal_error', 'Failed to submit prompt');
+      });
+      break;
+    case 'resume': {
+      // Events after the client joined were sent to it live
+      const events = data.epoch === session.epoch
+        ? session.getEventsSince(data.lastSeq, appState.clientJoinSequences.get(clientId))
+        : null;
+      (events || []).forEach((event) => appState.sendToClient(clientId, { ...event, replayed: true }));
+      acknowledge(clientId, data, {
+        complete: !!events,
+        replayed: events ? events.length : 0,
+        seq: session.sequence
+      });
+      break;
+    }
+    case 'stop_generation':
+      session.videoGenerator.stopCurrentGeneration();
+      acknowledge(clientId, data);
+      break;
+    case 'join_session':
+      if (!appState.sessions.has(data.sessionId)) {
+        replyError(clientId, data, 'not_found', `Session not found: ${data.sessionId}`);
+        break;
       }
+      appState.joinSession(clientId, data.sessionId);
+      acknowledge(clientId, data, { sessionId: data.sessionId });
       break;
-    case 'stop_generation':
-      videoGenerator.stopCurrentGeneration();
+    case 'set_frame_transport':
+      // Clients playing the WebRTC relay stop receiving JPEG frames over the socket
+      appState.updateFrameSubscription(clientId, { enabled: data.transport !== 'webrtc' });
+      acknowledge(clientId, data);
       break;
-    case 'get_status':
-      appState.sendToClient(clientId, {
-        type: 'status_response',
+    case 'subscribe_frames': {
+      const { type, requestId, ...options } = data;
+      const subscription = appState.updateFrameSubscription(clientId, options);
+      replyToClient(clientId, data, {
+        type: 'frame_subscription',
         data: {
-          streamStatus: appState.streamStatus,
-          hasActiveStream: !!appState.currentStream,
-          frameStreaming: appState.frameStreamer.hasActiveFrames()
+          enabled: subscription.enabled,
+          maxFps: subscription.maxFps,
+          maxWidth: subscription.maxWidth,
+          maxHeight: subscription.maxHeight
         }
       });
       break;
-    default:
-      logger.warn(`Unknown message type from client ${clientId}:`, data.type);
+    }
+    case 'get_status':
+      replyToClient(clientId, data, {
+        type: 'status_response',
+        data: session.getStatus()
+      });
+      break;
+    case 'bot_control':
+      acknowledge(clientId, data, session.controlBot(data.action));
+      break;
+    case 'update_bot':
+      try {
+        acknowledge(clientId, data, session.updateBot(data.bot));
+      } catch (error) {
+        replyConfigError(clientId, data, 'bot settings', error);
+      }
+      break;
+    case 'update_settings':
+      try {
+        acknowledge(clientId, data, session.updateSettings(data.settings));
+      } catch (error) {
+        replyConfigError(clientId, data, 'settings', error);
+      }
+      break;
   }
 }
 
@@ -662,20 +2247,37 @@ if (CONFIG.FRONTEND_ENABLED) {
 
   // Main frontend route
   app.get('/', (req, res) => {
+    const session = appState.getSession(req.query.session);
+    if (!session) {
+      return res.status(404).render('error', {
+        error: `Session not found: ${req.query.session}`,
+        title: '404 - Krea Realtime Generator'
+      });
+    }
+
     // Get recent messages for initial render
-    const recentMessages = Array.from(appState.clients.values())
-      .map(() => appState.messages || [])
-      .flat()
-      .slice(-20); // Last 20 messages
+    // Without viewer access the page only renders the shell and a sign-in prompt
+    const canWatch = hasRole(req.auth.role, 'viewer');
+    const recentMessages = canWatch ? session.getRecentMessages(20) : [];
 
     res.render('index', {
       title: 'Krea Realtime Generator',
+      sessionId: session.id,
+      sessionName: session.name,
       messages: recentMessages,
-      currentVideo: appState.currentVideo,
-      currentFrame: appState.frameStreamer?.currentFrame || null,
+      currentVideo: canWatch ? session.currentVideo : null,
+      currentFrame: canWatch && session.frameStreamer.currentFrame
+        ? `data:image/jpeg;base64,${session.frameStreamer.currentFrame.toString('base64')}`
+        : null,
       isConnected: appState.clients.size > 0,
-      streamStatus: appState.streamStatus,
-      wsUrl: `ws://${req.get('host')}`,
+      streamStatus: session.streamStatus,
+      wsUrl: `ws://${req.get('host')}?session=${encodeURIComponent(session.id)}`,
+      iceServers: CONFIG.ICE_SERVERS,
+      auth: { enabled: authManager.enabled, role: req.auth.role },
+      canOperate: hasRole(req.auth.role, 'operator'),
+      generationQualities: SESSION_SETTINGS_SCHEMA.quality.values,
+      promptMaxLength: moderationPipeline.maxLength,
+      playlist: canWatch ? session.playlistPlayer.getStatus() : null,
       helpers: templateHelpers
     });
   });
@@ -695,69 +2297,596 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     connections: appState.clients.size,
-    streamStatus: appState.streamStatus,
+    sessions: appState.sessions.size,
+    streamStatus: appState.getSession(DEFAULT_SESSION_ID).streamStatus,
     frontend: CONFIG.FRONTEND_ENABLED
   });
 });
 
-app.get('/api/status', (req, res) => {
+// Message schemas of the WebSocket protocol, see PROTOCOL.md
+app.get('/api/protocol', (req, res) => {
+  res.json({
+    version: PROTOCOL_VERSION,
+    supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+    client: CLIENT_MESSAGE_SCHEMAS,
+    server: SERVER_MESSAGE_SCHEMAS
+  });
+});
+
+// Prometheus scrape endpoint. Scrapers can send an API key as a Bearer token
+// when anonymous access is disabled.
+app.get('/metrics', authManager.requireRole('viewer'), (req, res) => {
+  res.type(metricsRegistry.contentType).send(metricsRegistry.render());
+});
+
+// Resolve the session a REST request targets, defaulting to the default session
+function resolveSession(req, res) {
+  const sessionId = req.params.sessionId || req.query.session || req.body?.sessionId;
+  const session = appState.getSession(sessionId);
+  if (!session) {
+    res.status(404).json({ error: `Session not found: ${sessionId}` });
+  }
+  return session;
+}
+
+// Exchange an API key for a session token, kept by browsers in an HttpOnly cookie
+app.post('/api/auth/session', rateLimitMiddleware(authLimiter), (req, res) => {
+  if (!authManager.enabled) {
+    return res.status(400).json({ error: 'Authentication is disabled' });
+  }
+
+  const role = req.body.apiKey ? authManager.resolveApiKey(req.body.apiKey) : null;
+  if (!role) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const session = authManager.createSessionToken(role);
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: CONFIG.AUTH_TOKEN_TTL
+  });
+  res.status(201).json(session);
+});
+
+app.get('/api/auth/session', (req, res) => {
+  res.json({
+    enabled: authManager.enabled,
+    role: req.auth.role,
+    via: req.auth.via
+  });
+});
+
+app.delete('/api/auth/session', (req, res) => {
+  if (req.auth.via === 'session_token') {
+    authManager.revokeSessionToken(req.auth.credential);
+  }
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ message: 'Signed out' });
+});
+
+// Runtime configuration. Only reloadable settings can be changed, and changes
+// last until the next reload or restart.
+app.get('/api/config', authManager.requireRole('admin'), (req, res) => {
+  res.json(configManager.describe());
+});
+
+app.patch('/api/config', authManager.requireRole('admin'), (req, res) => {
+  try {
+    const { changed } = configManager.update(req.body);
+    res.json({ changed, ...configManager.describe() });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    throw error;
+  }
+});
+
+// Webhook subscriptions. Payloads are signed with the subscription's secret,
+// which is generated unless given and only returned on creation.
+app.get('/api/webhooks', authManager.requireRole('admin'), (req, res) => {
+  res.json({ events: WEBHOOK_EVENT_TYPES, subscriptions: webhookManager.list() });
+});
+
+// { url, events: [type] or ['*'], sessions?: [id], secret?, description? }
+app.post('/api/webhooks', authManager.requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json(webhookManager.create(req.body));
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+// Deliveries that failed every attempt, most recent first
+app.get('/api/webhooks/dead-letters', authManager.requireRole('admin'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  res.json({ items: webhookManager.getDeadLetters(limit) });
+});
+
+app.delete('/api/webhooks/:webhookId', authManager.requireRole('admin'), (req, res) => {
+  try {
+    if (!webhookManager.delete(req.params.webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+app.get('/api/status', authManager.requireRole('viewer'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
   res.json({
-    streamStatus: appState.streamStatus,
-    hasActiveStream: !!appState.currentStream,
-    frameStreaming: appState.frameStreamer.hasActiveFrames(),
+    sessionId: session.id,
+    streamStatus: session.streamStatus,
+    hasActiveStream: !!session.currentStream,
+    frameStreaming: session.frameStreamer.hasActiveFrames(),
+    streamHealth: session.watchdog.getState(),
+    bot: session.llmBot.getStatus(),
+    settings: session.getSettings(),
     connectedClients: appState.clients.size,
+    sessionClients: session.getSubscriberIds().length,
+    relayViewers: session.whepRelay.getViewerCount(),
     frontend: {
       enabled: CONFIG.FRONTEND_ENABLED,
-      messagesCount: appState.messages?.length || 0,
-      hasCurrentFrame: !!appState.frameStreamer?.currentFrame
+      messagesCount: historyStore.countMessages(session.id),
+      hasCurrentFrame: !!session.frameStreamer.currentFrame
     },
-    currentStream: appState.currentStream ? {
-      id: appState.currentStream.id,
-      startTime: appState.currentStream.startTime,
-      duration: Date.now() - appState.currentStream.startTime
+    currentStream: session.currentStream ? {
+      id: session.currentStream.id,
+      startTime: session.currentStream.startTime,
+      duration: Date.now() - session.currentStream.startTime
     } : null
   });
 });
 
-app.post('/api/generate', (req, res) => {
+app.post('/api/generate', authManager.requireRole('operator'), rateLimitMiddleware(promptLimiter), async (req, res, next) => {
   const { prompt } = req.body;
   if (!prompt) {
     return res.status(400).json({ error: 'Prompt is required' });
   }
+
+  const session = resolveSession(req, res);
+  if (!session) return;
   
-  videoGenerator.requestGeneration(prompt);
-  res.json({ message: 'Generation requested', prompt });
+  try {
+    const { item, duplicate } = await session.submitPrompt(prompt, 'manual');
+    res.json({
+      message: duplicate ? 'Prompt already queued' : 'Generation requested',
+      prompt: item.prompt,
+      sessionId: session.id,
+      queueItem: item
+    });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof PromptQueueError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+// LLM bot control
+const BOT_ACTIONS = ['start', 'stop', 'pause', 'resume'];
+
+app.get('/api/bot', authManager.requireRole('viewer'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json({ sessionId: session.id, ...session.llmBot.getStatus() });
+});
+
+app.post('/api/bot/:action', authManager.requireRole('operator'), (req, res) => {
+  if (!BOT_ACTIONS.includes(req.params.action)) {
+    return res.status(400).json({ error: `Unknown bot action, expected one of: ${BOT_ACTIONS.join(', ')}` });
+  }
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json({ sessionId: session.id, ...session.controlBot(req.params.action) });
+});
+
+// { direction, pinnedWords, bannedWords, mode }, fields left out stay as they are
+app.patch('/api/bot', authManager.requireRole('operator'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const { sessionId, ...changes } = req.body;
+  try {
+    res.json({ sessionId: session.id, ...session.updateBot(changes) });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    throw error;
+  }
+});
+
+// Playlists, uploaded as JSON or as YAML text
+const PLAYLIST_ACTIONS = ['next', 'stop'];
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain'];
+const PLAYLIST_MODERATION_CONCURRENCY = 4;
+
+// Moderates the items a few at a time, replacing their prompts with the
+// checked ones. Returns { error, index } of the first rejected item, or null;
+// items not started yet are skipped once one fails.
+async function moderatePlaylistItems(items, sessionId) {
+  let next = 0;
+  let failure = null;
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        items[index].prompt = await moderationPipeline.check(items[index].prompt, { source: 'playlist', sessionId });
+      } catch (error) {
+        if (!failure || index < failure.index) {
+          failure = { error, index };
+        }
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PLAYLIST_MODERATION_CONCURRENCY, items.length) }, worker));
+  return failure;
+}
+
+app.get('/api/playlists', authManager.requireRole('viewer'), (req, res) => {
+  res.json({ items: playlistStore.list() });
+});
+
+app.post('/api/playlists', authManager.requireRole('operator'), rateLimitMiddleware(promptLimiter), express.text({ type: YAML_TYPES }), async (req, res, next) => {
+  let fields;
+  try {
+    fields = parsePlaylist(req.body);
+    playlistStore.validate(fields);
+  } catch (error) {
+    if (error instanceof PlaylistError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    return next(error);
+  }
+  if (fields.session && !appState.sessions.has(fields.session)) {
+    return res.status(404).json({ error: `Session not found: ${fields.session}` });
+  }
+
+  // Moderate up front, rejected prompts would otherwise only show up once played
+  const failure = await moderatePlaylistItems(fields.items, fields.session || DEFAULT_SESSION_ID);
+  if (failure) {
+    if (failure.error instanceof ModerationError) {
+      return res.status(failure.error.status).json({ ...failure.error.toJSON(), item: failure.index });
+    }
+    return next(failure.error);
+  }
+
+  try {
+    res.status(201).json(playlistStore.create(fields));
+  } catch (error) {
+    // PROMPT_MIN_DISPLAY_MS may have been raised while the items were moderated
+    if (error instanceof PlaylistError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+app.get('/api/playlists/:playlistId', authManager.requireRole('viewer'), (req, res) => {
+  const playlist = playlistStore.get(req.params.playlistId);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  res.json(playlist);
 });
 
-// SSE endpoint for backward compatibility
-app.get('/api/stream', (req, res) => {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+app.delete('/api/playlists/:playlistId', authManager.requireRole('operator'), (req, res) => {
+  if (!playlistStore.get(req.params.playlistId)) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  appState.sessions.forEach((session) => {
+    if (session.playlistPlayer.playlist?.id === req.params.playlistId) {
+      session.playlistPlayer.stop('deleted');
+    }
   });
+  playlistStore.delete(req.params.playlistId);
+  res.status(204).end();
+});
 
-  const clientId = uuidv4();
-  
-  // Store SSE response in app state for broadcasting
-  appState.clients.set(clientId + '_sse', {
-    readyState: 1,
-    send: (data) => {
-      const message = JSON.parse(data);
-      res.write(`data: ${JSON.stringify(message)}\n\n`);
+// Replaces the session's playing playlist, if any
+app.post('/api/playlists/:playlistId/start', authManager.requireRole('operator'), (req, res) => {
+  const playlist = playlistStore.get(req.params.playlistId);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json({ sessionId: session.id, playlist: session.playlistPlayer.start(playlist) });
+});
+
+// The playlist playing in a session
+app.get('/api/playlist', authManager.requireRole('viewer'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json({ sessionId: session.id, playlist: session.playlistPlayer.getStatus() });
+});
+
+app.post('/api/playlist/:action', authManager.requireRole('operator'), (req, res) => {
+  if (!PLAYLIST_ACTIONS.includes(req.params.action)) {
+    return res.status(400).json({ error: `Unknown playlist action, expected one of: ${PLAYLIST_ACTIONS.join(', ')}` });
+  }
+  const session = resolveSession(req, res);
+  if (!session) return;
+  if (!session.playlistPlayer.active) {
+    return res.status(409).json({ error: 'No playlist is playing' });
+  }
+
+  if (req.params.action === 'next') {
+    session.playlistPlayer.next();
+  } else {
+    session.playlistPlayer.stop();
+  }
+  res.json({ sessionId: session.id, playlist: session.playlistPlayer.getStatus() });
+});
+
+// Prompt queue
+app.get('/api/queue', authManager.requireRole('viewer'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json({
+    sessionId: session.id,
+    generationInProgress: session.generationInProgress,
+    items: session.promptQueue.list()
+  });
+});
+
+app.patch('/api/queue/:itemId', authManager.requireRole('operator'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const position = parseInt(req.body.position);
+  if (isNaN(position)) {
+    return res.status(400).json({ error: 'Position is required' });
+  }
+
+  const item = session.promptQueue.move(req.params.itemId, position);
+  if (!item) {
+    return res.status(404).json({ error: `Queue item not found: ${req.params.itemId}` });
+  }
+  res.json({ items: session.promptQueue.list() });
+});
+
+app.delete('/api/queue/:itemId', authManager.requireRole('operator'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const item = session.promptQueue.remove(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({ error: `Queue item not found: ${req.params.itemId}` });
+  }
+  res.json({ message: 'Queue item cancelled', item });
+});
+
+app.delete('/api/queue', authManager.requireRole('operator'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  const removed = session.promptQueue.clear();
+  res.json({ message: 'Queue cleared', removed });
+});
+
+// Persisted history. Closed sessions keep their history, so these routes
+// accept any session id rather than only open sessions.
+function parseLimit(value, defaultLimit) {
+  const limit = parseInt(value);
+  return isNaN(limit) ? defaultLimit : Math.max(1, Math.min(limit, 200));
+}
+
+app.get('/api/history', authManager.requireRole('viewer'), (req, res) => {
+  const sessionId = req.query.session || DEFAULT_SESSION_ID;
+  const before = parseInt(req.query.before);
+
+  res.json({
+    sessionId,
+    ...historyStore.getMessages(sessionId, {
+      before: isNaN(before) ? null : before,
+      limit: parseLimit(req.query.limit, 50)
+    })
+  });
+});
+
+app.get('/api/generations', authManager.requireRole('viewer'), (req, res) => {
+  const offset = parseInt(req.query.offset);
+
+  res.json(historyStore.getGenerations(req.query.session || null, {
+    offset: isNaN(offset) ? 0 : Math.max(0, offset),
+    limit: parseLimit(req.query.limit, 20)
+  }));
+});
+
+app.get('/api/generations/:generationId', authManager.requireRole('viewer'), (req, res) => {
+  const generation = historyStore.getGeneration(req.params.generationId);
+  if (!generation) {
+    return res.status(404).json({ error: `Generation not found: ${req.params.generationId}` });
+  }
+  res.json(generation);
+});
+
+// Recordings of past generations, served with range request support
+app.get('/api/recordings', authManager.requireRole('viewer'), (req, res) => {
+  res.json({
+    enabled: CONFIG.RECORDING_ENABLED,
+    items: recordingStore.list({ sessionId: req.query.session })
+  });
+});
+
+app.get('/api/recordings/:recordingId', authManager.requireRole('viewer'), (req, res) => {
+  const recording = recordingStore.get(req.params.recordingId);
+  if (!recording) {
+    return res.status(404).json({ error: `Recording not found: ${req.params.recordingId}` });
+  }
+  res.json(recording);
+});
+
+app.delete('/api/recordings/:recordingId', authManager.requireRole('admin'), (req, res) => {
+  const recording = recordingStore.get(req.params.recordingId);
+  if (!recording) {
+    return res.status(404).json({ error: `Recording not found: ${req.params.recordingId}` });
+  }
+  if (!recordingStore.delete(recording.id)) {
+    return res.status(409).json({ error: 'Recording is still in progress' });
+  }
+  res.json({ message: 'Recording deleted', id: recording.id });
+});
+
+app.get('/recordings/:recordingId', authManager.requireRole('viewer'), (req, res) => {
+  const recording = recordingStore.get(req.params.recordingId);
+  if (!recording) {
+    return res.status(404).json({ error: `Recording not found: ${req.params.recordingId}` });
+  }
+
+  res.type(recording.mimeType);
+  res.sendFile(recordingStore.getFilePath(recording), (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status || 500).json({ error: 'Recording file is not available' });
+    }
+  });
+});
+
+// Session management
+app.get('/api/sessions', authManager.requireRole('viewer'), (req, res) => {
+  res.json({
+    sessions: [...appState.sessions.values()].map((session) => session.getSummary())
+  });
+});
+
+app.post('/api/sessions', authManager.requireRole('admin'), (req, res) => {
+  const { id, name, autonomous } = req.body;
+  if (id !== undefined && (typeof id !== 'string' || !/^[\w-]{1,64}$/.test(id))) {
+    return res.status(400).json({ error: 'Session id must be 1-64 letters, digits, dashes or underscores' });
+  }
+  if (id && appState.sessions.has(id)) {
+    return res.status(409).json({ error: `Session already exists: ${id}` });
+  }
+
+  const session = appState.createSession({ id, name, autonomous });
+  session.start();
+  res.status(201).json(session.getSummary());
+});
+
+app.get('/api/sessions/:sessionId', authManager.requireRole('viewer'), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  res.json({
+    ...session.getSummary(),
+    promptHistory: session.promptHistory
+  });
+});
+
+app.delete('/api/sessions/:sessionId', authManager.requireRole('admin'), (req, res) => {
+  if (req.params.sessionId === DEFAULT_SESSION_ID) {
+    return res.status(400).json({ error: 'The default session cannot be closed' });
+  }
+  if (!appState.closeSession(req.params.sessionId)) {
+    return res.status(404).json({ error: `Session not found: ${req.params.sessionId}` });
+  }
+  res.json({ message: 'Session closed', sessionId: req.params.sessionId });
+});
+
+// WHEP endpoint for browsers, relaying the upstream stream over WebRTC.
+// 'current' relays whatever the session given by ?session= is streaming.
+function findRelaySession(streamId, sessionId) {
+  if (streamId === 'current') {
+    return appState.getSession(sessionId);
+  }
+  return [...appState.sessions.values()].find((session) => session.whepRelay.matchesStream(streamId)) || null;
+}
+
+app.post('/whep/:streamId', authManager.requireRole('viewer'), rateLimitMiddleware(subscriptionLimiter), express.text({ type: 'application/sdp' }), async (req, res) => {
+  const session = findRelaySession(req.params.streamId, req.query.session);
+  if (!session || !session.whepRelay.matchesStream(req.params.streamId)) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  try {
+    const { sessionId, answerSdp } = await session.whepRelay.createSession(req.body, req.params.streamId);
+    res.status(201)
+      .location(`/whep/${req.params.streamId}/sessions/${sessionId}`)
+      .type('application/sdp')
+      .send(answerSdp);
+  } catch (error) {
+    logger.error('WHEP relay session failed:', error);
+    const status = error instanceof WHEPRelayError ? error.status : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Only the session's own resource URL closes it, so the stream id has to match
+app.delete('/whep/:streamId/sessions/:sessionId', authManager.requireRole('viewer'), (req, res) => {
+  const closed = [...appState.sessions.values()]
+    .some((session) => session.whepRelay.closeSession(req.params.sessionId, req.params.streamId));
+  if (!closed) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.status(200).end();
+});
+
+// Server-sent events, an alternative to the WebSocket for receiving messages.
+// Events are named after the message type and session broadcasts carry ids,
+// so reconnecting browsers get what they missed through Last-Event-ID.
+// ?types=thought,prompt limits the event types, leave out frame to skip frames.
+// ?maxFps=, ?maxWidth= and ?maxHeight= limit frames like subscribe_frames.
+app.get('/api/stream', authManager.requireRole('viewer'), rateLimitMiddleware(subscriptionLimiter), (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  let types = null;
+  if (req.query.types) {
+    types = String(req.query.types).split(',').map((type) => type.trim()).filter(Boolean);
+    const unknown = types.filter((type) => !SERVER_MESSAGE_SCHEMAS[type]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown event types: ${unknown.join(', ')}` });
     }
+  }
+
+  // EventSource polyfills that cannot set headers pass the id as a query parameter
+  const lastEventId = parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+  const missed = lastEventId?.epoch === session.epoch ? session.getEventsSince(lastEventId.seq) : null;
+
+  const client = new SSEClient(res, { auth: req.auth, types });
+  client.open(CONFIG.SSE_RETRY_INTERVAL);
+
+  const clientId = `${uuidv4()}_sse`;
+  appState.addClient(client, clientId, session.id, { sendHistory: !missed });
+  appState.updateFrameSubscription(clientId, {
+    enabled: client.wants('frame'),
+    maxFps: req.query.maxFps,
+    maxWidth: req.query.maxWidth,
+    maxHeight: req.query.maxHeight
   });
+  (missed || []).forEach((event) => client.sendEvent({ ...event, replayed: true }));
 
   req.on('close', () => {
-    appState.removeClient(clientId + '_sse');
+    appState.removeClient(clientId);
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  logger.error('Express error:', err);
+  logger.error(`Express error on ${req.method} ${redactCredentials(req.originalUrl)}:`, err);
   
   if (CONFIG.FRONTEND_ENABLED) {
     res.status(500).render('error', { 
@@ -782,24 +2911,147 @@ app.use((req, res) => {
 });
 
 // Periodic tasks
+// Start the playlists scheduled for this minute. When several are due for the
+// same session, the last uploaded one plays.
+function startScheduledPlaylists(date) {
+  for (const playlist of playlistStore.getScheduled(date)) {
+    const session = appState.getSession(playlist.session);
+    if (!session) {
+      logger.warn(`Scheduled playlist ${playlist.name} skipped, session not found: ${playlist.session}`);
+      continue;
+    }
+    if (session.playlistPlayer.playlist?.id !== playlist.id) {
+      session.playlistPlayer.start(playlist, { startedBy: 'schedule' });
+    }
+  }
+}
+
 function startPeriodicTasks() {
-  // Send waiting frames every second when no active frames
+  // Send waiting frames every second when no active frames, and let the
+  // watchdog look at the frame arrival rate
   setInterval(() => {
-    if (!appState.frameStreamer.hasActiveFrames()) {
-      appState.frameStreamer.sendWaitingFrame();
-    }
+    appState.sessions.forEach((session) => {
+      if (!session.frameStreamer.hasActiveFrames()) {
+        session.frameStreamer.sendWaitingFrame();
+      }
+      session.checkStreamHealth();
+    });
   }, 1000);
 
-  // Check stream status every 30 seconds
-  setInterval(async () => {
-    if (videoGenerator.currentStreamId) {
-      const status = await videoGenerator.checkStreamStatus();
-      if (status) {
-        logger.info('Stream status check:', status);
+  // Feed the upstream stream status into the watchdog
+  setInterval(() => {
+    appState.sessions.forEach(async (session) => {
+      const streamId = session.currentStream?.id;
+      if (!streamId) return;
+
+      const status = await session.videoGenerator.checkStreamStatus(streamId);
+      // Ignore results for a stream that was replaced in the meantime
+      if (session.currentStream?.id === streamId) {
+        session.watchdog.recordUpstreamStatus(status);
+      }
+    });
+  }, CONFIG.STREAM_STATUS_INTERVAL);
+
+  // Ping WebSocket clients and drop the ones that did not answer the previous ping.
+  // Closing runs the socket's close handler, which removes the client.
+  setInterval(() => {
+    appState.clients.forEach((ws, clientId) => {
+      if (ws.transport === 'sse') return;
+      if (!ws.isAlive) {
+        logger.warn(`Client ${clientId} missed a heartbeat, dropping it`);
+        metrics.clientsReaped.inc();
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, CONFIG.WS_HEARTBEAT_INTERVAL);
+
+  // Keep idle event streams open through proxies
+  setInterval(() => {
+    appState.clients.forEach((client) => {
+      if (client.transport === 'sse') {
+        client.heartbeat();
       }
+    });
+  }, CONFIG.SSE_HEARTBEAT_INTERVAL);
+
+  // Check playlist schedules once per minute, in server local time
+  let scheduledMinute = null;
+  setInterval(() => {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / 60000);
+    if (minute !== scheduledMinute) {
+      scheduledMinute = minute;
+      startScheduledPlaylists(now);
+    }
+  }, 1000);
+
+  // Drop rate limit buckets of callers that have gone quiet
+  setInterval(() => {
+    promptLimiter.prune();
+    subscriptionLimiter.prune();
+    authLimiter.prune();
+  }, 60000);
+}
+
+// Push reloaded settings into the objects that copied them at startup
+function applyConfigChanges(changed) {
+  logger.info(`Configuration updated: ${changed.join(', ')}`);
+
+  if (changed.includes('LOG_LEVEL')) {
+    logger.level = CONFIG.LOG_LEVEL;
+  }
+
+  Object.assign(promptLimiter.options, {
+    burst: CONFIG.RATE_LIMIT_PROMPT_BURST,
+    perMinute: CONFIG.RATE_LIMIT_PROMPT_PER_MINUTE
+  });
+  Object.assign(subscriptionLimiter.options, {
+    burst: CONFIG.RATE_LIMIT_SUBSCRIBE_BURST,
+    perMinute: CONFIG.RATE_LIMIT_SUBSCRIBE_PER_MINUTE
+  });
+  Object.assign(authLimiter.options, {
+    burst: CONFIG.RATE_LIMIT_AUTH_BURST,
+    perMinute: CONFIG.RATE_LIMIT_AUTH_PER_MINUTE
+  });
+
+  Object.assign(webhookManager.options, {
+    timeout: CONFIG.WEBHOOK_TIMEOUT,
+    maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+    retryDelay: CONFIG.WEBHOOK_RETRY_DELAY,
+    maxDeadLetterBytes: CONFIG.WEBHOOK_DEAD_LETTER_MAX_BYTES
+  });
+  if (['WEBHOOK_URLS', 'WEBHOOK_EVENTS', 'WEBHOOK_SECRET'].some((key) => changed.includes(key))) {
+    try {
+      configureWebhooks();
+    } catch (error) {
+      if (!(error instanceof WebhookError)) throw error;
+      logger.error(`Invalid webhook configuration, configured webhooks removed: ${error.message}`);
+    }
+  }
+
+  appState.sessions.forEach((session) => {
+    session.llmBot.llm.options.timeout = CONFIG.LLM_TIMEOUT;
+    Object.assign(session.watchdog.options, {
+      stallTimeout: CONFIG.STREAM_STALL_TIMEOUT,
+      deadTimeout: CONFIG.STREAM_DEAD_TIMEOUT,
+      degradedFps: CONFIG.STREAM_DEGRADED_FPS
+    });
+    // The client reads these on every request and reconnect, later streams get them at creation
+    if (session.videoGenerator.whepConnection) {
+      Object.assign(session.videoGenerator.whepConnection.options, {
+        timeout: CONFIG.WHEP_TIMEOUT,
+        maxReconnectAttempts: CONFIG.MAX_RECONNECT_ATTEMPTS
+      });
+    }
+    if (changed.includes('LLM_CYCLE_INTERVAL')) {
+      session.llmBot.restartCycle();
     }
-  }, 30000);
+  });
 }
+configManager.onChange = applyConfigChanges;
 
 // Start the server
 server.listen(CONFIG.PORT, () => {
@@ -808,15 +3060,31 @@ server.listen(CONFIG.PORT, () => {
   logger.info(`Health check: http://localhost:${CONFIG.PORT}/health`);
   
   // Start LLM bot and periodic tasks
-  appState.llmBot.start();
+  appState.getSession(DEFAULT_SESSION_ID).start();
   startPeriodicTasks();
 });
 
+// Reload the config file, e.g. with `kill -HUP <pid>`
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP received, reloading configuration');
+  try {
+    const { changed, restartRequired } = configManager.reload();
+    if (changed.length === 0) {
+      logger.info('Configuration unchanged');
+    }
+    if (restartRequired.length > 0) {
+      logger.warn(`Changed settings that need a restart were not applied: ${restartRequired.join(', ')}`);
+    }
+  } catch (error) {
+    logger.error(`Configuration reload failed, keeping the current settings\n${error.message}`);
+  }
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  appState.llmBot.stop();
-  videoGenerator.stopCurrentGeneration();
+  appState.sessions.forEach((session) => session.close());
+  webhookManager.close();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -825,8 +3093,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  appState.llmBot.stop();
-  videoGenerator.stopCurrentGeneration();
+  appState.sessions.forEach((session) => session.close());
+  webhookManager.close();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -0,0 +1,93 @@
+// Server-sent events transport. Instances sit in AppState.clients next to
+// WebSocket clients and take the same serialized messages through send().
+//
+// Each message becomes an event named after its type. Session broadcasts get
+// the id "<epoch>:<seq>", which browsers send back as Last-Event-ID when they
+// reconnect so the missed broadcasts can be replayed.
+export class SSEClient {
+  constructor(res, options = {}) {
+    this.res = res;
+    this.auth = options.auth || null;
+    this.types = options.types || null; // Message types to forward, all when null
+    this.transport = 'sse';
+    this.binaryFrames = false; // Frames are sent as JSON 'frame' events
+    this.epoch = null; // Epoch of the joined session, from connection_established
+    this.closed = false;
+
+    res.on('close', () => {
+      this.closed = true;
+    });
+  }
+
+  // Same values as WebSocket.readyState, OPEN or CLOSED
+  get readyState() {
+    return this.closed || this.res.destroyed ? 3 : 1;
+  }
+
+  // Lets frame broadcasting skip clients that are not keeping up
+  get bufferedAmount() {
+    return this.res.writableLength;
+  }
+
+  // retry is the reconnect delay browsers should use, in ms
+  open(retry) {
+    this.res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+    });
+    this.write(`retry: ${retry}\n\n`);
+  }
+
+  wants(type) {
+    return !this.types || this.types.includes(type);
+  }
+
+  // data is a serialized message, as for WebSocket.send()
+  send(data) {
+    const message = JSON.parse(data);
+    if (message.type === 'connection_established') {
+      this.epoch = message.data.epoch;
+    }
+    if (this.wants(message.type)) {
+      this.sendEvent(message);
+    }
+  }
+
+  sendEvent(message) {
+    const id = message.seq ? `id: ${formatEventId(this.epoch, message.seq)}\n` : '';
+    this.write(`event: ${message.type}\n${id}data: ${JSON.stringify(message)}\n\n`);
+  }
+
+  // Comment lines keep proxies from closing an idle stream
+  heartbeat() {
+    this.write(': heartbeat\n\n');
+  }
+
+  write(chunk) {
+    if (this.readyState !== 1) {
+      return;
+    }
+    this.res.write(chunk);
+    // The compression middleware buffers output until flushed
+    if (this.res.flush) {
+      this.res.flush();
+    }
+  }
+
+  // Drops the connection like WebSocket.terminate(), which fires the request's close handler
+  terminate() {
+    this.res.destroy();
+  }
+}
+
+export function formatEventId(epoch, seq) {
+  return `${epoch}:${seq}`;
+}
+
+// Returns { epoch, seq } or null for ids that did not come from formatEventId()
+export function parseEventId(id) {
+  const match = /^(.+):(\d+)$/.exec(id || '');
+  return match ? { epoch: match[1], seq: parseInt(match[2]) } : null;
+}
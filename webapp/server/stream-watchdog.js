@@ -0,0 +1,126 @@
+// idle: no stream. healthy: frames arrive at a usable rate. degraded: frames
+// arrive slowly or the upstream status endpoint is not answering. stalled: no
+// frames for stallTimeout. dead: no frames for deadTimeout, or the upstream
+// reports the stream as ended or failed. A stream whose WHEP connection is
+// reconnecting is at most stalled, the reconnect gets to finish first.
+export const STREAM_HEALTH_STATES = ['idle', 'healthy', 'degraded', 'stalled', 'dead'];
+
+// Upstream statuses after which no more frames will come
+const TERMINAL_UPSTREAM_STATUSES = ['failed', 'error', 'stopped', 'ended', 'completed', 'not_found'];
+
+// Whether a GET /ai/stream/:id/status result says the stream is over
+export function isTerminalUpstreamStatus(result) {
+  return Boolean(result) && TERMINAL_UPSTREAM_STATUSES.includes(String(result.status || result.state || 'unknown').toLowerCase());
+}
+
+// Tracks the health of one session's stream. It has no timers of its own:
+// the server feeds it upstream status results and calls evaluate() periodically.
+export class StreamWatchdog {
+  constructor(options = {}) {
+    this.options = {
+      stallTimeout: options.stallTimeout || 5000,
+      deadTimeout: options.deadTimeout || 15000,
+      degradedFps: options.degradedFps ?? 5,
+      rateWindow: options.rateWindow || 5000, // Window the frame rate is measured over
+      maxUpstreamFailures: options.maxUpstreamFailures || 2, // Failed status checks before degraded
+      ...options
+    };
+
+    this.state = 'idle';
+    this.reason = null;
+    this.since = Date.now();
+    this.upstream = { status: null, checkedAt: null, failures: 0 };
+    this.recoveries = 0; // Restarts since the stream was last healthy
+
+    this.onTransition = null; // ({ state, previousState, reason, ... }) => void
+  }
+
+  // Result of GET /ai/stream/:id/status, or null when the request failed
+  recordUpstreamStatus(result) {
+    this.upstream.checkedAt = Date.now();
+    if (!result) {
+      this.upstream.failures++;
+      return;
+    }
+    this.upstream.status = String(result.status || result.state || 'unknown').toLowerCase();
+    this.upstream.failures = 0;
+  }
+
+  // stream: { active, startedAt, lastFrameTime, fps, reconnecting } describing the session's stream
+  evaluate(stream, now = Date.now()) {
+    const { state, reason } = this.classify(stream, now);
+    // A restarted stream is healthy before its first frame, but only frames
+    // show that the restart worked
+    if (state === 'healthy' && stream.lastFrameTime >= stream.startedAt) {
+      this.recoveries = 0;
+    }
+    if (state === this.state) {
+      return null;
+    }
+
+    const transition = {
+      state,
+      previousState: this.state,
+      reason,
+      fps: stream.fps,
+      lastFrameAge: stream.lastFrameTime ? now - stream.lastFrameTime : null,
+      upstreamStatus: this.upstream.status,
+      recoveries: this.recoveries
+    };
+
+    this.state = state;
+    this.reason = reason;
+    this.since = now;
+    if (state === 'idle') {
+      this.upstream = { status: null, checkedAt: null, failures: 0 };
+    }
+
+    if (this.onTransition) {
+      this.onTransition(transition);
+    }
+    return transition;
+  }
+
+  classify({ active, startedAt, lastFrameTime, fps, reconnecting = false }, now) {
+    if (!active) {
+      return { state: 'idle', reason: null };
+    }
+    if (reconnecting) {
+      return { state: 'stalled', reason: 'Reconnecting to the stream' };
+    }
+
+    if (TERMINAL_UPSTREAM_STATUSES.includes(this.upstream.status)) {
+      return { state: 'dead', reason: `Upstream reports the stream as ${this.upstream.status}` };
+    }
+
+    // A stream that has not sent its first frame yet is timed from its start
+    const silentFor = now - Math.max(lastFrameTime || 0, startedAt || 0);
+    if (silentFor >= this.options.deadTimeout) {
+      return { state: 'dead', reason: `No frames for ${Math.round(silentFor / 1000)}s` };
+    }
+    if (silentFor >= this.options.stallTimeout) {
+      return { state: 'stalled', reason: `No frames for ${Math.round(silentFor / 1000)}s` };
+    }
+
+    if (this.upstream.failures >= this.options.maxUpstreamFailures) {
+      return { state: 'degraded', reason: 'Upstream status checks are failing' };
+    }
+    // The rate only means something once the stream has run for a full window
+    if (now - startedAt >= this.options.rateWindow && fps < this.options.degradedFps) {
+      return { state: 'degraded', reason: `Frame rate dropped to ${fps.toFixed(1)} fps` };
+    }
+
+    return { state: 'healthy', reason: null };
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      reason: this.reason,
+      since: this.since,
+      upstreamStatus: this.upstream.status,
+      upstreamCheckedAt: this.upstream.checkedAt,
+      recoveries: this.recoveries
+    };
+  }
+}
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { loadWrtc } from './helpers/mock-whep-server.js';
+import { startServer } from './helpers/server.js';
+
+// server.js loads the WHEP client, which needs the native binding
+const wrtc = await loadWrtc();
+const skip = wrtc ? false : '@koush/wrtc native binding is not built';
+
+let server;
+
+before(async () => {
+  if (skip) return;
+  server = await startServer({
+    API_KEYS: 'operator-key:operator',
+    CORS_ORIGIN: 'https://studio.example.com'
+  });
+});
+
+after(() => server?.stop());
+
+// Resolves with the HTTP status of the upgrade, 101 when the socket opened
+function upgrade(origin) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(server.url.replace('http', 'ws'), origin ? { origin } : {});
+    ws.on('open', () => {
+      ws.close();
+      resolve(101);
+    });
+    ws.on('unexpected-response', (request, response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    ws.on('error', reject);
+  });
+}
+
+test('accepts WebSocket upgrades from this server, listed origins and non-browser clients only', { skip }, async () => {
+  const { port } = new URL(server.url);
+  assert.equal(await upgrade(`http://127.0.0.1:${port}`), 101);
+  assert.equal(await upgrade('https://studio.example.com'), 101);
+  assert.equal(await upgrade(null), 101);
+  assert.equal(await upgrade('https://attacker.example'), 403);
+  assert.equal(await upgrade(`http://127.0.0.1:${Number(port) + 1}`), 403);
+});
+
+test('rate limits sign-in attempts', { skip }, async () => {
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    statuses.push((await server.request('POST', '/api/auth/session', { apiKey: `guess-${i}` })).status);
+  }
+  assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429]);
+
+  // A valid key does not get around the limit either
+  const { status, body } = await server.request('POST', '/api/auth/session', { apiKey: 'operator-key' });
+  assert.equal(status, 429);
+  assert.ok(body.retryAfter > 0);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuthManager, AuthError, redactCredentials } from '../auth.js';
+
+function request(url, headers = {}) {
+  return { url, headers };
+}
+
+test('redacts query credentials from URLs', () => {
+  assert.equal(redactCredentials('/?session=a&token=secret'), '/?session=a&token=[redacted]');
+  assert.equal(redactCredentials('/api/stream?api_key=k1&types=frame#x'), '/api/stream?api_key=[redacted]&types=frame#x');
+  assert.equal(redactCredentials('/?TOKEN=secret'), '/?TOKEN=[redacted]');
+  assert.equal(redactCredentials('/?session=tokens'), '/?session=tokens');
+});
+
+test('authenticates upgrade requests from headers, query and cookie', () => {
+  const auth = new AuthManager({ apiKeys: [{ key: 'op', role: 'operator' }], anonymousRole: 'none' });
+  const { token } = auth.createSessionToken('viewer');
+
+  assert.equal(auth.authenticate(request('/', { authorization: 'Bearer op' })).role, 'operator');
+  assert.equal(auth.authenticate(request('/?token=op')).role, 'operator');
+  assert.equal(auth.authenticate(request('/', { cookie: `krea_session=${token}` })).role, 'viewer');
+  assert.equal(auth.authenticate(request('/', { cookie: 'krea_session=stale' })).role, null);
+  assert.throws(() => auth.authenticate(request('/?token=wrong')), AuthError);
+  assert.throws(() => auth.authorize(auth.authenticate(request('/')), 'viewer'), { status: 401 });
+});
+
+test('keeps defaults for options given as undefined', () => {
+  const auth = new AuthManager({ apiKeys: undefined, anonymousRole: undefined, tokenTtl: undefined });
+  assert.equal(auth.anonymousRole, 'viewer');
+  const { expiresAt } = auth.createSessionToken('viewer');
+  assert.ok(expiresAt > Date.now() + 11 * 60 * 60 * 1000);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { MockWHEPServer, loadWrtc } from './helpers/mock-whep-server.js';
+import { MockVideoAPI, startServer, eventually } from './helpers/server.js';
+
+const wrtc = await loadWrtc();
+const skip = wrtc ? false : '@koush/wrtc native binding is not built';
+const GENERATION_TIMEOUT = 1500;
+
+let whepServer;
+
+before(async () => {
+  if (skip) return;
+  whepServer = new MockWHEPServer(wrtc, { width: 160, height: 120, fps: 15 });
+  await whepServer.start();
+});
+
+after(() => whepServer?.stop());
+
+async function withServer(whepUrl, callback) {
+  const videoApi = new MockVideoAPI(whepUrl);
+  await videoApi.start();
+  const server = await startServer({
+    VIDEO_API_BASE: videoApi.url,
+    GENERATION_TIMEOUT: String(GENERATION_TIMEOUT),
+    WHEP_TIMEOUT: '5000',
+    PROMPT_MIN_DISPLAY_MS: '0',
+    PROMPT_TRANSITION_MS: '0'
+  });
+  try {
+    await server.request('POST', '/api/bot/stop');
+    await callback(server, videoApi);
+  } finally {
+    await server.stop();
+    await videoApi.stop();
+  }
+}
+
+const status = async (server) => (await server.request('GET', '/api/status')).body;
+
+test('a connected stream outlives the generation timeout and takes prompt updates', { skip, timeout: 30000 }, async () => {
+  await withServer(() => whepServer.url, async (server, videoApi) => {
+    assert.equal((await server.request('POST', '/api/generate', { prompt: 'neon city' })).status, 200);
+    const { currentStream } = await eventually(async () => {
+      const current = await status(server);
+      return current.streamStatus === 'active' && current;
+    }, 10000, 'the stream to connect');
+
+    await new Promise((resolve) => setTimeout(resolve, GENERATION_TIMEOUT * 2));
+    const later = await status(server);
+    assert.equal(later.streamStatus, 'active');
+    assert.equal(later.currentStream.id, currentStream.id);
+    assert.equal(whepServer.requestsOf('DELETE').length, 0, 'the WHEP session was not closed');
+
+    assert.equal((await server.request('POST', '/api/generate', { prompt: 'moonlit ocean' })).status, 200);
+    const [update] = await eventually(() => {
+      const updates = videoApi.requestsTo(new RegExp(`/ai/stream/${currentStream.id}/update$`));
+      return updates.length > 0 && updates;
+    }, 5000, 'a prompt update');
+    assert.equal(JSON.parse(update.body).prompt, 'moonlit ocean');
+    assert.equal(videoApi.requestsTo(/\/ai\/stream\/start$/).length, 1, 'no second stream was started');
+  });
+});
+
+test('a stream whose ICE does not connect in time is closed', { skip, timeout: 30000 }, async () => {
+  const silent = new MockWHEPServer(wrtc, { ice: false });
+  await silent.start();
+  try {
+    await withServer(() => silent.url, async (server) => {
+      await server.request('POST', '/api/generate', { prompt: 'neon city' });
+      await eventually(() => silent.requestsOf('POST').length > 0, 5000, 'the WHEP offer');
+      await eventually(() => silent.requestsOf('DELETE').length > 0, GENERATION_TIMEOUT + 2000, 'the WHEP session to be closed');
+
+      const current = await status(server);
+      assert.equal(current.streamStatus, 'idle');
+      assert.equal(current.currentStream, null);
+    });
+  } finally {
+    await silent.stop();
+  }
+});
+
+test('a WHEP offer still unanswered at the timeout is aborted', { skip, timeout: 30000 }, async () => {
+  // WHEP endpoint that never answers, the client's WHEP_TIMEOUT is longer than the generation timeout
+  let closedAt = null;
+  const hanging = http.createServer((req) => {
+    req.socket.on('close', () => { closedAt = Date.now(); });
+  });
+  await new Promise((resolve) => hanging.listen(0, '127.0.0.1', resolve));
+  try {
+    await withServer(() => `http://127.0.0.1:${hanging.address().port}/whep`, async (server) => {
+      const requestedAt = Date.now();
+      await server.request('POST', '/api/generate', { prompt: 'neon city' });
+      await eventually(() => closedAt, GENERATION_TIMEOUT + 2000, 'the offer to be aborted');
+      assert.ok(closedAt - requestedAt < 5000, 'aborted before the WHEP timeout');
+    });
+  } finally {
+    hanging.closeAllConnections();
+    hanging.close();
+  }
+});
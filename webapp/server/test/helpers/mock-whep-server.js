@@ -0,0 +1,256 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+
+// WHEP endpoint backed by a real peer connection that sends an RTCVideoSource
+// track filled with a solid color. Every request is recorded in `requests`.
+// stop() kills the endpoint and its sessions, start() brings it back on the same port.
+// endSessions() ends the sessions cleanly, their resources then answer 410 Gone.
+export class MockWHEPServer {
+  constructor(wrtc, options = {}) {
+    this.wrtc = wrtc;
+    this.options = {
+      width: 320,
+      height: 240,
+      fps: 30,
+      color: [255, 0, 0], // RGB of every frame
+      token: null, // Bearer token every request must carry
+      link: null, // Link header sent with the 201 response
+      ice: true, // false answers without candidates and ignores trickled ones, so ICE never connects
+      ...options
+    };
+    this.requests = [];
+    this.sessions = new Map(); // Id -> { pc, source, timer, offerSdp, etag }
+    this.endedSessions = new Set(); // Ids of sessions ended by endSessions()
+    this.server = null;
+    this.port = 0;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.port}/whep`;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve) => this.server.listen(this.port, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+  }
+
+  async stop() {
+    this.closeSessions();
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  closeSessions() {
+    for (const session of this.sessions.values()) {
+      clearInterval(session.timer);
+      session.pc.close();
+    }
+    this.sessions.clear();
+  }
+
+  // The streams are over: close every session and remember it as ended
+  endSessions() {
+    this.sessions.forEach((session, id) => this.endedSessions.add(id));
+    this.closeSessions();
+  }
+
+  // Requests of one method, in the order they arrived
+  requestsOf(method) {
+    return this.requests.filter((request) => request.method === method);
+  }
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      this.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      try {
+        if (this.options.token && req.headers.authorization !== `Bearer ${this.options.token}`) {
+          res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end();
+        } else if (req.method === 'POST' && req.url === '/whep') {
+          await this.handleOffer(req, res, body);
+        } else if (req.url.startsWith('/whep/sessions/')) {
+          await this.handleSession(req, res, body);
+        } else {
+          res.writeHead(404).end();
+        }
+      } catch (error) {
+        res.writeHead(500).end(error.message);
+      }
+    });
+  }
+
+  async handleOffer(req, res, offerSdp) {
+    if (req.headers['content-type'] !== 'application/sdp') {
+      return res.writeHead(415).end();
+    }
+    const { RTCPeerConnection } = this.wrtc;
+    const { RTCVideoSource } = this.wrtc.nonstandard;
+
+    const pc = new RTCPeerConnection();
+    const source = new RTCVideoSource();
+    pc.addTrack(source.createTrack());
+    await pc.setRemoteDescription({ type: 'offer', sdp: offerSdp });
+    await pc.setLocalDescription(await pc.createAnswer());
+    await waitForGathering(pc);
+
+    const id = randomUUID();
+    const frame = this.createFrame();
+    const session = {
+      pc,
+      source,
+      offerSdp,
+      ufrag: sdpAttribute(offerSdp, 'ice-ufrag'),
+      version: 1,
+      etag: `"${id}-1"`,
+      timer: setInterval(() => source.onFrame(frame), 1000 / this.options.fps)
+    };
+    this.sessions.set(id, session);
+
+    const headers = {
+      'Content-Type': 'application/sdp',
+      'Location': `/whep/sessions/${id}`,
+      'ETag': session.etag
+    };
+    if (this.options.link) {
+      headers.Link = this.options.link;
+    }
+    res.writeHead(201, headers);
+    res.end(this.options.ice ? pc.localDescription.sdp : pc.localDescription.sdp.replace(/a=candidate:.*\r\n/g, ''));
+  }
+
+  async handleSession(req, res, body) {
+    const id = req.url.slice('/whep/sessions/'.length);
+    const session = this.sessions.get(id);
+    if (!session) {
+      return res.writeHead(this.endedSessions.has(id) ? 410 : 404).end();
+    }
+
+    if (req.method === 'DELETE') {
+      clearInterval(session.timer);
+      session.pc.close();
+      this.sessions.delete(id);
+      return res.writeHead(200).end();
+    }
+    if (req.method !== 'PATCH') {
+      return res.writeHead(405).end();
+    }
+    if (req.headers['content-type'] !== 'application/trickle-ice-sdpfrag') {
+      return res.writeHead(415).end();
+    }
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch || (ifMatch !== '*' && ifMatch !== session.etag)) {
+      return res.writeHead(412).end();
+    }
+
+    // New ICE credentials ask for an ICE restart, otherwise this is a trickle
+    const ufrag = sdpAttribute(body, 'ice-ufrag');
+    if (ufrag && ufrag !== session.ufrag) {
+      await this.restartIce(id, session, body, res);
+      return;
+    }
+    if (this.options.ice) {
+      await this.addCandidates(session, body);
+    }
+    res.writeHead(204).end();
+  }
+
+  // Renegotiate with the offer's ICE credentials replaced by the fragment's
+  // and answer with our own new credentials and candidates
+  async restartIce(id, session, fragment, res) {
+    const ufrag = sdpAttribute(fragment, 'ice-ufrag');
+    const pwd = sdpAttribute(fragment, 'ice-pwd');
+    const offerSdp = session.offerSdp
+      .replace(/a=ice-ufrag:.*/g, `a=ice-ufrag:${ufrag}`)
+      .replace(/a=ice-pwd:.*/g, `a=ice-pwd:${pwd}`);
+
+    await session.pc.setRemoteDescription({ type: 'offer', sdp: offerSdp });
+    await session.pc.setLocalDescription(await session.pc.createAnswer());
+    await waitForGathering(session.pc);
+    await this.addCandidates(session, fragment);
+
+    session.offerSdp = offerSdp;
+    session.ufrag = ufrag;
+    session.etag = `"${id}-${++session.version}"`;
+
+    res.writeHead(200, {
+      'Content-Type': 'application/trickle-ice-sdpfrag',
+      'ETag': session.etag
+    });
+    res.end(iceFragment(session.pc.localDescription.sdp));
+  }
+
+  // Trickled candidates, one a=mid line per media section
+  async addCandidates(session, fragment) {
+    let mid = null;
+    for (const line of fragment.split(/\r?\n/)) {
+      if (line.startsWith('a=mid:')) {
+        mid = line.slice('a=mid:'.length);
+      } else if (line.startsWith('a=candidate:')) {
+        await session.pc.addIceCandidate({ candidate: line.slice(2), sdpMid: mid });
+      }
+    }
+  }
+
+  // I420 frame of the configured size and color
+  createFrame() {
+    const { width, height, color } = this.options;
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+      rgba.set([...color, 255], i);
+    }
+    const i420 = new Uint8ClampedArray(width * height * 1.5);
+    this.wrtc.nonstandard.rgbaToI420({ width, height, data: rgba }, { width, height, data: i420 });
+    return { width, height, data: i420 };
+  }
+}
+
+// Value of the first a=<name>: line
+function sdpAttribute(sdp, name) {
+  const line = sdp.split(/\r?\n/).find((candidate) => candidate.startsWith(`a=${name}:`));
+  return line ? line.slice(name.length + 3) : null;
+}
+
+// ICE credentials, media sections and candidates of an SDP as an sdpfrag
+function iceFragment(sdp) {
+  return sdp.split(/\r?\n/)
+    .filter((line) => /^(m=|a=(ice-ufrag|ice-pwd|mid|candidate):)/.test(line))
+    .join('\r\n') + '\r\n';
+}
+
+export function waitForGathering(pc) {
+  if (pc.iceGatheringState === 'complete') {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    pc.addEventListener('icegatheringstatechange', () => {
+      if (pc.iceGatheringState === 'complete') {
+        resolve();
+      }
+    });
+  });
+}
+
+// The wrtc binding is built by an install script; without it the WebRTC tests are skipped
+export async function loadWrtc() {
+  try {
+    return (await import('@koush/wrtc')).default;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolves with the first value callback(resolve) produces, or rejects after ms
+export function waitFor(callback, ms = 10000, label = 'event') {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${label}`)), ms);
+    callback((value) => {
+      clearTimeout(timer);
+      resolve(value);
+    });
+  });
+}
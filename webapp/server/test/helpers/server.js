@@ -0,0 +1,143 @@
+import http from 'http';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Video generation API handing out streams of a WHEP endpoint. Every request
+// is recorded in `requests`. whepUrl(streamId) picks the endpoint of each stream.
+export class MockVideoAPI {
+  constructor(whepUrl) {
+    this.whepUrl = whepUrl;
+    this.requests = [];
+    this.streams = 0;
+    this.server = null;
+    this.port = 0;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        this.requests.push({ method: req.method, url: req.url, body });
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/ai/stream/start') {
+          const streamId = `stream-${++this.streams}`;
+          res.end(JSON.stringify({ stream_id: streamId, whep_url: this.whepUrl(streamId) }));
+        } else if (/^\/ai\/stream\/[^/]+\/status$/.test(req.url)) {
+          res.end(JSON.stringify({ status: 'running' }));
+        } else if (/^\/ai\/stream\/[^/]+\/update$/.test(req.url)) {
+          res.end(JSON.stringify({ ok: true }));
+        } else {
+          res.writeHead(404).end();
+        }
+      });
+    });
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  // Requests whose path matches the pattern, in the order they arrived
+  requestsTo(pattern) {
+    return this.requests.filter((request) => pattern.test(request.url));
+  }
+}
+
+async function freePort() {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Runs server.js in a child process with the given settings and a fresh
+// DATA_DIR, with the same loader flags as the test process
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'krea-server-'));
+  const child = spawn(process.execPath, [...process.execArgv, 'server.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      LOG_FILE_PATH: dataDir,
+      LOG_LEVEL: 'warn',
+      LLM_API_BASE: 'http://127.0.0.1:1',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+
+  const server = {
+    url: `http://127.0.0.1:${port}`,
+    get output() {
+      return output;
+    },
+    async request(method, pathname, body) {
+      const response = await fetch(server.url + pathname, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json().catch(() => null) };
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+    }
+    try {
+      if ((await fetch(`${server.url}/health`)).ok) {
+        return server;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  await server.stop();
+  throw new Error(`Server did not start in time:\n${output}`);
+}
+
+// Polls check() until it returns a truthy value, or rejects after ms
+export async function eventually(check, ms = 10000, label = 'condition') {
+  const deadline = Date.now() + ms;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+}
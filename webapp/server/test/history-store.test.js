@@ -0,0 +1,96 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoryStore } from '../history-store.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function lineCount(file) {
+  return fs.readFileSync(path.join(dir, file), 'utf8').split('\n').filter(Boolean).length;
+}
+
+function addMessages(store, sessionId, count) {
+  for (let i = 0; i < count; i++) {
+    store.addMessage(sessionId, { type: 'system', content: `${sessionId} ${i}` });
+  }
+}
+
+test('pages backwards through a session with before and limit', () => {
+  const store = new HistoryStore(dir);
+  addMessages(store, 'a', 5);
+  addMessages(store, 'b', 3);
+
+  const last = store.getMessages('a', { limit: 2 });
+  assert.deepEqual(last.items.map((message) => message.content), ['a 3', 'a 4']);
+  assert.equal(last.hasMore, true);
+
+  const previous = store.getMessages('a', { before: last.nextBefore, limit: 2 });
+  assert.deepEqual(previous.items.map((message) => message.content), ['a 1', 'a 2']);
+
+  const first = store.getMessages('a', { before: previous.nextBefore, limit: 2 });
+  assert.deepEqual(first.items.map((message) => message.content), ['a 0']);
+  assert.equal(first.hasMore, false);
+  assert.equal(first.nextBefore, null);
+
+  assert.equal(store.countMessages('a'), 5);
+  assert.equal(store.countMessages('b'), 3);
+  assert.equal(store.countMessages('missing'), 0);
+  assert.deepEqual(store.getMessages('a', { limit: 0 }).items, []);
+});
+
+test('keeps the newest messages of each session and compacts the file', () => {
+  const store = new HistoryStore(dir, { maxMessages: 10 });
+  addMessages(store, 'a', 25);
+  addMessages(store, 'b', 4);
+
+  assert.equal(store.countMessages('a'), 10);
+  assert.equal(store.getMessages('a', { limit: 50 }).items[0].content, 'a 15');
+  assert.equal(store.countMessages('b'), 4);
+  assert.ok(lineCount('messages.jsonl') <= 2 * 14, 'trimmed messages are compacted away');
+
+  const reloaded = new HistoryStore(dir, { maxMessages: 10 });
+  assert.deepEqual(reloaded.getMessages('a'), store.getMessages('a'));
+  assert.deepEqual(reloaded.getMessages('b'), store.getMessages('b'));
+  assert.equal(reloaded.addMessage('a', { type: 'system', content: 'next' }).seq, 30);
+});
+
+test('compacts generation snapshots and keeps the newest runs of each session', () => {
+  const store = new HistoryStore(dir, { maxGenerations: 3 });
+  const runs = [];
+  for (let i = 0; i < 5; i++) {
+    const run = store.startGeneration({ sessionId: 'a', prompt: `prompt ${i}` });
+    store.updateGeneration(run.id, { streamId: `stream-${i}` });
+    store.addGenerationPrompt(run.id, `prompt ${i} again`);
+    runs.push(store.endGeneration(run.id, { outcome: 'completed', frameCount: i }));
+  }
+  const other = store.startGeneration({ sessionId: 'b', prompt: 'other' });
+
+  assert.deepEqual(store.getGenerations('a').items.map((run) => run.id), runs.slice(2).reverse().map((run) => run.id));
+  assert.equal(store.getGeneration(runs[0].id), null);
+  assert.ok(lineCount('generations.jsonl') <= 2 * 4, 'superseded snapshots are compacted away');
+
+  const reloaded = new HistoryStore(dir, { maxGenerations: 3 });
+  assert.deepEqual(reloaded.getGeneration(runs[4].id), runs[4]);
+  assert.equal(reloaded.getGenerations(null).total, 4);
+  // Runs still going at shutdown are closed on load
+  assert.equal(reloaded.getGeneration(other.id).outcome, 'disconnected');
+});
+
+test('skips a truncated last line', () => {
+  const store = new HistoryStore(dir);
+  addMessages(store, 'a', 2);
+  fs.appendFileSync(path.join(dir, 'messages.jsonl'), '{"seq":3,"sessi');
+
+  const reloaded = new HistoryStore(dir);
+  assert.equal(reloaded.countMessages('a'), 2);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { LLMClient } from '../llm-client.js';
+
+// Mock OpenAI-compatible endpoint, answering each request with the handler set by the test
+let server;
+let baseUrl;
+let handler;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      handler(req, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function sseLine(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+}
+
+test('streams content deltas and sends the request OpenAI-style', async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(sseLine('Neon '));
+    res.write(': keep-alive comment\n\n');
+    res.write('data: {not json}\n\n');
+    res.write(sseLine('skyline'));
+    res.end('data: [DONE]\n\n');
+  };
+
+  const client = new LLMClient(`${baseUrl}/`, { apiKey: 'secret', model: 'test-model' });
+  const tokens = [];
+  const content = await client.streamChat([{ role: 'user', content: 'hi' }], { onToken: (token) => tokens.push(token) });
+
+  assert.equal(content, 'Neon skyline');
+  assert.deepEqual(tokens, ['Neon ', 'skyline']);
+  const request = requests.at(-1);
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer secret');
+  assert.equal(request.body.model, 'test-model');
+  assert.equal(request.body.stream, true);
+});
+
+test('keeps multi-byte characters split across chunks intact', async () => {
+  const bytes = Buffer.from(sseLine('Café 東京 🌆'));
+  const split = bytes.indexOf(Buffer.from('東')) + 1;
+  handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(bytes.subarray(0, split));
+    setTimeout(() => res.end(bytes.subarray(split)), 20);
+  };
+
+  const client = new LLMClient(baseUrl);
+  assert.equal(await client.streamChat([]), 'Café 東京 🌆');
+});
+
+test('reads a final line without a trailing newline', async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end(sseLine('one').trim());
+  };
+
+  assert.equal(await new LLMClient(baseUrl).streamChat([]), 'one');
+});
+
+test('accepts plain JSON replies from servers that ignore stream', async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: '  a prompt  ' } }] }));
+  };
+
+  const tokens = [];
+  const content = await new LLMClient(baseUrl).streamChat([], { onToken: (token) => tokens.push(token) });
+  assert.equal(content, 'a prompt');
+  assert.deepEqual(tokens, ['  a prompt  ']);
+});
+
+test('rejects error statuses', async () => {
+  handler = (req, res) => {
+    res.writeHead(503);
+    res.end();
+  };
+
+  await assert.rejects(new LLMClient(baseUrl).streamChat([]), /status: 503/);
+});
+
+test('times out stalled responses', async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(sseLine('partial'));
+    setTimeout(() => res.end(), 500);
+  };
+
+  await assert.rejects(new LLMClient(baseUrl, { timeout: 100 }).streamChat([]), /timed out after 100ms/);
+});
+
+test('options given as undefined keep their defaults', () => {
+  const client = new LLMClient(baseUrl, { timeout: undefined, model: undefined, apiKey: undefined });
+  assert.equal(client.options.timeout, 15000);
+  assert.equal(client.options.model, 'gpt-4o-mini');
+  assert.equal(client.options.apiKey, null);
+});
@@ -0,0 +1,149 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import {
+  blocklistStage,
+  normalizeStage,
+  externalStage,
+  createModerationPipeline,
+  loadModerationConfig,
+  validateModerationConfig,
+  ModerationError
+} from '../moderation.js';
+
+test('blocks whole blocklist terms only', () => {
+  const stage = blocklistStage({ blocklist: ['gore'] });
+  assert.throws(() => stage.check('Some Gore here'), { code: 'blocked_term' });
+  assert.equal(stage.check('gorey details'), 'gorey details');
+});
+
+test('refuses rules with g or y flags', () => {
+  assert.throws(() => blocklistStage({ rules: [{ pattern: 'bad', flags: 'gi' }] }), /rules\[0\]\.flags: the g and y flags are not supported/);
+  assert.throws(() => validateModerationConfig({ rules: [{ pattern: 'x' }, { pattern: 'worse', flags: 'yg' }] }), /rules\[1\]\.flags/);
+  assert.throws(() => validateModerationConfig({ rules: [{ pattern: '(' }] }), /rules\[0\]: Invalid regular expression/);
+  assert.throws(() => validateModerationConfig({ maxLength: 0 }), /maxLength/);
+  assert.throws(() => validateModerationConfig({ blocklist: 'gore' }), /blocklist/);
+
+  const stage = blocklistStage({ rules: [{ pattern: 'bad\\w*', reason: 'bad' }] });
+  for (let i = 0; i < 3; i++) {
+    assert.throws(() => stage.check('a BADGE'), (error) => error instanceof ModerationError && error.message === 'bad');
+  }
+  assert.equal(stage.check('fine'), 'fine');
+});
+
+test('loads and validates config files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+  try {
+    const valid = path.join(dir, 'valid.json');
+    fs.writeFileSync(valid, JSON.stringify({ maxLength: 80, blocklist: ['gore'], rules: [{ pattern: 'x+', flags: 'iu' }] }));
+    assert.equal(loadModerationConfig(valid).maxLength, 80);
+
+    const invalid = path.join(dir, 'invalid.json');
+    fs.writeFileSync(invalid, JSON.stringify({ rules: [{ pattern: 'x', flags: 'g' }] }));
+    assert.throws(() => loadModerationConfig(invalid), new RegExp(`^Error: ${invalid}: rules\\[0\\]\\.flags`));
+
+    assert.deepEqual(loadModerationConfig(path.join(dir, 'missing.json')), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('normalizes lookalike, invisible and control characters and whitespace', () => {
+  const stage = normalizeStage({ maxLength: 20 });
+  assert.equal(stage.check('ｇｏｒｅ'), 'gore');
+  assert.equal(stage.check('ﬁre'), 'fire');
+  assert.equal(stage.check('go\u200Bre\u202E'), 'gore');
+  assert.equal(stage.check('  a\u0007b\n\t c  '), 'a b c');
+
+  assert.throws(() => stage.check(' \u200B\u0000 '), { code: 'empty_prompt', stage: 'normalize' });
+  assert.throws(() => stage.check(42), { code: 'invalid_prompt' });
+  assert.equal(stage.check(`${'a'.repeat(20)}\u200B`), 'a'.repeat(20), 'removed characters do not count');
+  assert.throws(() => stage.check('a'.repeat(21)), (error) => {
+    assert.equal(error.code, 'prompt_too_long');
+    assert.deepEqual(error.details, { length: 21, maxLength: 20 });
+    return true;
+  });
+});
+
+test('normalizes before the blocklist sees the prompt', async () => {
+  const pipeline = createModerationPipeline({ config: { blocklist: ['gore'] }, maxLength: 100 });
+  await assert.rejects(pipeline.check('ｇｏ\u200Bｒｅ'), { code: 'blocked_term' });
+});
+
+test('takes the length limit from the config file over PROMPT_MAX_LENGTH', () => {
+  assert.equal(createModerationPipeline({ maxLength: 500 }).maxLength, 500);
+  assert.equal(createModerationPipeline({ config: { maxLength: 80 }, maxLength: 500 }).maxLength, 80);
+});
+
+describe('external moderation', () => {
+  let server;
+  let respond;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body: JSON.parse(body) });
+        respond(res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const url = () => `http://127.0.0.1:${server.address().port}/moderations`;
+  const json = (status, body) => (res) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+  test('passes prompts the endpoint does not flag', async () => {
+    respond = json(200, { results: [{ flagged: false, categories: {} }] });
+    const stage = externalStage({ url: url(), apiKey: 'secret' });
+    assert.equal(await stage.check('a calm lake'), 'a calm lake');
+
+    const { headers, body } = requests.at(-1);
+    assert.equal(headers.authorization, 'Bearer secret');
+    assert.deepEqual(body, { input: 'a calm lake' });
+  });
+
+  test('rejects flagged prompts with their categories', async () => {
+    respond = json(200, { results: [{ flagged: true, categories: { violence: true, hate: false } }] });
+    await assert.rejects(externalStage({ url: url() }).check('x'), (error) => {
+      assert.ok(error instanceof ModerationError);
+      assert.equal(error.code, 'flagged');
+      assert.equal(error.stage, 'external');
+      assert.deepEqual(error.details, { categories: ['violence'] });
+      return true;
+    });
+  });
+
+  test('lets prompts through when the endpoint fails or times out, unless failing closed', async () => {
+    respond = json(500, { error: 'down' });
+    assert.equal(await externalStage({ url: url() }).check('x'), 'x');
+    await assert.rejects(externalStage({ url: url(), failOpen: false }).check('x'), (error) => {
+      assert.equal(error.code, 'moderation_unavailable');
+      assert.equal(error.status, 503);
+      assert.match(error.details.reason, /status: 500/);
+      return true;
+    });
+
+    respond = () => {}; // Never answers
+    const started = Date.now();
+    assert.equal(await externalStage({ url: url(), timeout: 200 }).check('x'), 'x');
+    assert.ok(Date.now() - started < 2000);
+    await assert.rejects(externalStage({ url: url(), timeout: 200, failOpen: false }).check('x'), (error) => {
+      assert.equal(error.details.reason, 'timed out after 200ms');
+      return true;
+    });
+
+    // Nothing listening
+    await assert.rejects(externalStage({ url: 'http://127.0.0.1:1/', failOpen: false }).check('x'), { code: 'moderation_unavailable' });
+  });
+});
@@ -0,0 +1,200 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlaylist, parseCron, cronMatches, PlaylistStore, PlaylistPlayer, PlaylistError } from '../playlists.js';
+
+test('accepts durations up to the longest timer delay', () => {
+  const playlist = parsePlaylist({ name: 'Night', duration: 2 ** 31 - 1, items: [{ prompt: 'ocean', duration: 1000 }] });
+  assert.equal(playlist.duration, 2 ** 31 - 1);
+  assert.equal(playlist.items[0].duration, 1000);
+});
+
+test('rejects durations a timer cannot wait for', () => {
+  assert.throws(() => parsePlaylist({ name: 'Night', duration: 2 ** 31, items: ['ocean'] }), PlaylistError);
+  assert.throws(() => parsePlaylist('name: Night\nitems:\n  - prompt: ocean\n    duration: 1e12\n'), /items\[0\]\.duration/);
+  assert.throws(() => parsePlaylist({ name: 'Night', items: [{ prompt: 'ocean', duration: 999 }] }), PlaylistError);
+});
+
+test('parses lists, ranges, steps and month and weekday names', () => {
+  const [minute, hour, day, month, weekday] = parseCron('0,15-20/5 */6 1-3 jan,Jul mon-fri');
+  assert.deepEqual([...minute.values], [0, 15, 20]);
+  assert.deepEqual([...hour.values], [0, 6, 12, 18]);
+  assert.deepEqual([...day.values], [1, 2, 3]);
+  assert.deepEqual([...month.values], [1, 7]);
+  assert.deepEqual([...weekday.values], [1, 2, 3, 4, 5]);
+
+  // A stepped single value runs to the end of the range, 7 is Sunday like 0
+  assert.deepEqual([...parseCron('50/5 * * * *')[0].values], [50, 55]);
+  assert.ok(parseCron('* * * * 7')[4].values.has(0));
+});
+
+test('rejects malformed cron expressions', () => {
+  for (const expression of ['* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * foo *', '5-1 * * * *', '*/0 * * * *', '1,,2 * * * *']) {
+    assert.throws(() => parseCron(expression), PlaylistError, expression);
+  }
+});
+
+test('matches the minute, hour and month of a date in local time', () => {
+  const date = new Date(2026, 6, 15, 20, 30); // Wednesday 15 July 2026, 20:30
+  assert.equal(cronMatches('30 20 * * *', date), true);
+  assert.equal(cronMatches('31 20 * * *', date), false);
+  assert.equal(cronMatches('30 21 * * *', date), false);
+  assert.equal(cronMatches('30 20 * aug *', date), false);
+  assert.equal(cronMatches('*/10 18-22 * jul wed', date), true);
+});
+
+test('matches either day field when both are restricted, and both when one is *', () => {
+  const wednesday15th = new Date(2026, 6, 15, 12, 0);
+  const thursday16th = new Date(2026, 6, 16, 12, 0);
+
+  // Day 15, or any Thursday
+  assert.equal(cronMatches('0 12 15 * thu', wednesday15th), true);
+  assert.equal(cronMatches('0 12 15 * thu', thursday16th), true);
+  assert.equal(cronMatches('0 12 1 * mon', wednesday15th), false);
+
+  // Only one restricted day field has to match by itself
+  assert.equal(cronMatches('0 12 15 * *', wednesday15th), true);
+  assert.equal(cronMatches('0 12 15 * *', thursday16th), false);
+  assert.equal(cronMatches('0 12 * * thu', wednesday15th), false);
+  // A stepped * still leaves the day unrestricted
+  assert.equal(cronMatches('0 12 */2 * thu', thursday16th), false);
+});
+
+describe('PlaylistPlayer', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+
+  function createPlayer(options) {
+    const player = new PlaylistPlayer({ getDefaultDuration: () => 3000, ...options });
+    const played = [];
+    const stops = [];
+    player.onItem = (item) => played.push(item.prompt);
+    player.onStop = ({ reason }) => stops.push(reason);
+    return { player, played, stops };
+  }
+
+  // Advances through item durations one at a time, as the mock clock only
+  // fires timers that were already scheduled when it is ticked
+  function advance(...durations) {
+    for (const duration of durations) {
+      mock.timers.tick(duration);
+    }
+  }
+
+  const playlist = (fields) => ({
+    id: 'p1',
+    name: 'Night',
+    shuffle: false,
+    loop: false,
+    duration: null,
+    items: [{ prompt: 'a', duration: 1000 }, { prompt: 'b', duration: null }, { prompt: 'c', duration: null }],
+    ...fields
+  });
+
+  test('holds each item for its own, the playlist or the default duration', () => {
+    const { player, played } = createPlayer();
+    player.start(playlist({ duration: 2000 }));
+    assert.deepEqual(played, ['a']);
+
+    mock.timers.tick(999);
+    assert.deepEqual(played, ['a']);
+    mock.timers.tick(1);
+    assert.deepEqual(played, ['a', 'b']);
+    assert.equal(player.getStatus().item.duration, 2000);
+
+    player.stop();
+    const { player: fallback } = createPlayer();
+    fallback.start(playlist(), { position: 1 });
+    assert.equal(fallback.getStatus().item.duration, 3000);
+    fallback.stop();
+  });
+
+  test('stretches durations shorter than the minimum display time', () => {
+    const { player } = createPlayer({ getMinDuration: () => 5000 });
+    player.start(playlist());
+    assert.equal(player.getStatus().item.duration, 5000);
+    player.stop();
+  });
+
+  test('finishes after the last item unless it loops', () => {
+    const { player, played, stops } = createPlayer();
+    player.start(playlist());
+    advance(1000, 3000, 3000);
+    assert.deepEqual(played, ['a', 'b', 'c']);
+    assert.deepEqual(stops, ['finished']);
+    assert.equal(player.active, false);
+
+    const looping = createPlayer();
+    looping.player.start(playlist({ loop: true }));
+    advance(1000, 3000, 3000, 1000);
+    assert.deepEqual(looping.played, ['a', 'b', 'c', 'a', 'b']);
+    assert.deepEqual(looping.stops, []);
+    looping.player.stop();
+  });
+
+  test('next skips the current item and restarts its timer', () => {
+    const { player, played } = createPlayer();
+    player.start(playlist());
+    mock.timers.tick(500);
+    assert.equal(player.next().position, 1);
+    assert.deepEqual(played, ['a', 'b']);
+
+    // The skipped item's timer does not fire any more
+    mock.timers.tick(2999);
+    assert.deepEqual(played, ['a', 'b']);
+    mock.timers.tick(1);
+    assert.deepEqual(played, ['a', 'b', 'c']);
+
+    assert.equal(player.next(), null, 'skipping the last item finishes the playlist');
+    assert.equal(player.active, false);
+  });
+
+  test('stop ends playback once and reports the reason', () => {
+    const { player, played, stops } = createPlayer();
+    player.start(playlist({ loop: true }));
+    assert.equal(player.stop('deleted'), true);
+    assert.equal(player.stop(), false);
+    assert.deepEqual(stops, ['deleted']);
+    assert.equal(player.getStatus(), null);
+
+    mock.timers.tick(10000);
+    assert.deepEqual(played, ['a']);
+  });
+
+  test('shuffles every round without repeating the last item', () => {
+    const items = Array.from({ length: 5 }, (_, index) => ({ prompt: `p${index}`, duration: 1000 }));
+    const { player, played } = createPlayer();
+    player.start(playlist({ items, shuffle: true, loop: true }));
+    advance(...Array(99).fill(1000));
+    player.stop();
+
+    assert.equal(played.length, 100);
+    for (let round = 0; round < 20; round++) {
+      const prompts = played.slice(round * 5, round * 5 + 5);
+      assert.deepEqual([...prompts].sort(), ['p0', 'p1', 'p2', 'p3', 'p4'], 'every round plays every item once');
+      if (round > 0) {
+        assert.notEqual(prompts[0], played[round * 5 - 1], 'a round does not start with the previous last item');
+      }
+    }
+  });
+
+  test('continues a restored run at its position and order', () => {
+    const { player, played } = createPlayer();
+    player.start(playlist(), { order: [2, 0, 1], position: 1, startedBy: 'schedule' });
+    assert.deepEqual(played, ['a']);
+    assert.deepEqual(player.getState().order, [2, 0, 1]);
+    assert.equal(player.getState().startedBy, 'schedule');
+    player.next();
+    assert.deepEqual(played, ['a', 'b']);
+    player.stop();
+  });
+});
+
+test('store rejects durations below the minimum display time', () => {
+  const store = new PlaylistStore(null, { getMinDuration: () => 5000 });
+  const fields = parsePlaylist({ name: 'Night', items: ['ocean', { prompt: 'city', duration: 4000 }] });
+  assert.throws(() => store.create(fields), /items\[1\]\.duration must be at least 5000ms/);
+  assert.throws(() => store.create(parsePlaylist({ name: 'Night', duration: 1000, items: ['ocean'] })), /^PlaylistError: duration/);
+  assert.equal(store.list().length, 0);
+
+  assert.equal(store.create(parsePlaylist({ name: 'Night', duration: 5000, items: ['ocean'] })).duration, 5000);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PromptQueue, PromptQueueError } from '../prompt-queue.js';
+
+function prompts(queue) {
+  return queue.list().map((item) => `${item.source}:${item.prompt}`);
+}
+
+test('queues manual prompts ahead of LLM and playlist prompts', () => {
+  const queue = new PromptQueue(null);
+  queue.enqueue('forest', 'llm');
+  queue.enqueue('city', 'playlist');
+  queue.enqueue('ocean', 'manual');
+  queue.enqueue('desert', 'manual');
+  assert.deepEqual(prompts(queue), ['manual:ocean', 'manual:desert', 'llm:forest', 'playlist:city']);
+});
+
+test('makes room by dropping the oldest LLM prompt, then the oldest playlist prompt', () => {
+  const queue = new PromptQueue(null, { maxSize: 3 });
+  queue.enqueue('city', 'playlist');
+  queue.enqueue('forest', 'llm');
+  queue.enqueue('river', 'llm');
+
+  queue.enqueue('ocean', 'manual');
+  assert.deepEqual(prompts(queue), ['manual:ocean', 'playlist:city', 'llm:river']);
+  queue.enqueue('desert', 'manual');
+  assert.deepEqual(prompts(queue), ['manual:ocean', 'manual:desert', 'playlist:city']);
+  queue.enqueue('canyon', 'manual');
+  assert.deepEqual(prompts(queue), ['manual:ocean', 'manual:desert', 'manual:canyon']);
+});
+
+test('refuses new prompts instead of dropping manual ones', () => {
+  const queue = new PromptQueue(null, { maxSize: 2 });
+  queue.enqueue('ocean', 'manual');
+  queue.enqueue('desert', 'manual');
+
+  for (const source of ['manual', 'llm', 'playlist']) {
+    assert.throws(() => queue.enqueue('canyon', source), (error) => error instanceof PromptQueueError && error.status === 429);
+  }
+  assert.deepEqual(prompts(queue), ['manual:ocean', 'manual:desert']);
+
+  // Duplicates do not take up room
+  assert.equal(queue.enqueue('Ocean ', 'manual').duplicate, true);
+});
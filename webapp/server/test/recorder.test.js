@@ -0,0 +1,54 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RecordingStore } from '../recorder.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const frame = { width: 4, height: 2, data: Buffer.from([0xff, 0xd8, 0xff, 0xd9]) };
+
+test('records prompt changes with their offset from the first frame', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+  const store = new RecordingStore(dir, { format: 'mjpeg' });
+  const recording = store.start({ sessionId: 's', generationId: 'g', streamId: 'stream', prompt: 'first' });
+
+  recording.addPrompt('before any frame');
+  t.mock.timers.tick(500);
+  recording.write(frame);
+  t.mock.timers.tick(1500);
+  recording.addPrompt('second');
+  recording.write(frame);
+
+  const metadata = await store.stop(recording.id);
+  assert.equal(metadata.status, 'complete');
+  assert.equal(metadata.frameCount, 2);
+  assert.deepEqual(metadata.prompts, [
+    { prompt: 'first', offset: 0 },
+    { prompt: 'before any frame', offset: 0 },
+    { prompt: 'second', offset: 1500 }
+  ]);
+
+  recording.addPrompt('after the end');
+  const reloaded = new RecordingStore(dir, { format: 'mjpeg' });
+  assert.deepEqual(reloaded.get(recording.id).prompts, metadata.prompts.slice(0, 3));
+  assert.equal(fs.statSync(store.getFilePath(metadata)).size, 2 * frame.data.length);
+});
+
+test('deletes recordings without frames', async () => {
+  const store = new RecordingStore(dir, { format: 'mjpeg' });
+  const recording = store.start({ sessionId: 's', generationId: 'g', streamId: 'stream', prompt: 'nothing' });
+
+  assert.equal((await store.stop(recording.id)).status, 'empty');
+  assert.equal(store.get(recording.id), null);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,162 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamWatchdog, isTerminalUpstreamStatus } from '../stream-watchdog.js';
+
+beforeEach(() => mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1000000 }));
+afterEach(() => mock.timers.reset());
+
+// Watchdog evaluated every second like the server does, over a stream that
+// receives frames at `fps` until frames are stopped. The frame rate only
+// counts after a minute unless rateWindow says otherwise.
+function watch(options = {}) {
+  const watchdog = new StreamWatchdog({ stallTimeout: 5000, deadTimeout: 15000, rateWindow: 60000, ...options });
+  const states = [];
+  watchdog.onTransition = (transition) => states.push(transition.state);
+
+  const stream = { active: true, startedAt: Date.now(), lastFrameTime: null, fps: 30, reconnecting: false };
+  let receiving = true;
+  const timer = setInterval(() => {
+    if (receiving) {
+      stream.lastFrameTime = Date.now();
+    }
+    watchdog.evaluate(stream);
+  }, 1000);
+
+  return {
+    watchdog,
+    stream,
+    states,
+    stopFrames() {
+      receiving = false;
+      stream.fps = 0;
+    },
+    startFrames() {
+      receiving = true;
+      stream.fps = 30;
+    },
+    // Advances the clock one evaluation at a time
+    advance(ms) {
+      for (let elapsed = 0; elapsed < ms; elapsed += 1000) {
+        mock.timers.tick(1000);
+      }
+    },
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+test('moves from healthy to stalled to dead as frames stop', () => {
+  const run = watch();
+  run.advance(1000);
+  assert.deepEqual(run.states, ['healthy']);
+
+  run.stopFrames();
+  run.advance(4000);
+  assert.equal(run.watchdog.state, 'healthy');
+  run.advance(1000);
+  assert.equal(run.watchdog.state, 'stalled');
+  assert.equal(run.watchdog.reason, 'No frames for 5s');
+
+  run.advance(9000);
+  assert.equal(run.watchdog.state, 'stalled');
+  run.advance(1000);
+  assert.deepEqual(run.states, ['healthy', 'stalled', 'dead']);
+  assert.equal(run.watchdog.since, Date.now());
+
+  run.startFrames();
+  run.advance(1000);
+  assert.deepEqual(run.states, ['healthy', 'stalled', 'dead', 'healthy']);
+  run.stop();
+});
+
+test('times a stream without any frame from its start', () => {
+  const run = watch();
+  run.stopFrames();
+  run.advance(4000);
+  assert.deepEqual(run.states, ['healthy']);
+  run.advance(1000);
+  assert.deepEqual(run.states, ['healthy', 'stalled']);
+  run.advance(10000);
+  assert.deepEqual(run.states, ['healthy', 'stalled', 'dead']);
+  run.stop();
+});
+
+test('keeps the recovery count until the stream is healthy again', () => {
+  const run = watch();
+  const recoveries = [];
+  run.watchdog.onTransition = (transition) => recoveries.push([transition.state, transition.recoveries]);
+  run.stopFrames();
+  run.advance(15000);
+
+  // The server restarts dead streams and counts the attempt
+  run.watchdog.recoveries++;
+  run.stream.startedAt = Date.now();
+  run.advance(15000);
+  run.watchdog.recoveries++;
+
+  run.stream.startedAt = Date.now();
+  run.startFrames();
+  run.advance(1000);
+  // Each restart looks healthy until it should have sent frames
+  assert.deepEqual(recoveries, [
+    ['healthy', 0], ['stalled', 0], ['dead', 0],
+    ['healthy', 1], ['stalled', 1], ['dead', 1],
+    ['healthy', 0]
+  ]);
+  assert.equal(run.watchdog.recoveries, 0);
+  run.stop();
+});
+
+test('does not declare a reconnecting stream dead', () => {
+  const run = watch();
+  run.advance(1000);
+  run.stopFrames();
+  run.stream.reconnecting = true;
+  run.advance(30000);
+  assert.deepEqual(run.states, ['healthy', 'stalled']);
+  assert.equal(run.watchdog.reason, 'Reconnecting to the stream');
+
+  // A reconnect that brings no frames back is dead right away
+  run.stream.reconnecting = false;
+  run.advance(1000);
+  assert.deepEqual(run.states, ['healthy', 'stalled', 'dead']);
+  run.stop();
+});
+
+test('degrades on a low frame rate or failing status checks, and dies with the upstream', () => {
+  const run = watch({ rateWindow: 5000 });
+  run.stream.fps = 2;
+  run.advance(4000);
+  assert.equal(run.watchdog.state, 'healthy', 'the rate counts once a full window has passed');
+  run.advance(1000);
+  assert.equal(run.watchdog.state, 'degraded');
+  assert.equal(run.watchdog.reason, 'Frame rate dropped to 2.0 fps');
+
+  run.stream.fps = 30;
+  run.advance(1000);
+  assert.equal(run.watchdog.state, 'healthy');
+  run.watchdog.recordUpstreamStatus(null);
+  run.watchdog.recordUpstreamStatus(null);
+  run.advance(1000);
+  assert.equal(run.watchdog.reason, 'Upstream status checks are failing');
+
+  run.watchdog.recordUpstreamStatus({ status: 'COMPLETED' });
+  run.advance(1000);
+  assert.equal(run.watchdog.state, 'dead');
+  assert.equal(run.watchdog.reason, 'Upstream reports the stream as completed');
+
+  run.stream.active = false;
+  run.advance(1000);
+  assert.deepEqual(run.watchdog.getState().upstreamStatus, null, 'an idle stream forgets the upstream status');
+  assert.deepEqual(run.states, ['healthy', 'degraded', 'healthy', 'degraded', 'dead', 'idle']);
+  run.stop();
+});
+
+test('recognizes terminal upstream statuses', () => {
+  assert.equal(isTerminalUpstreamStatus({ status: 'Ended' }), true);
+  assert.equal(isTerminalUpstreamStatus({ state: 'failed' }), true);
+  assert.equal(isTerminalUpstreamStatus({ status: 'not_found' }), true);
+  assert.equal(isTerminalUpstreamStatus({ status: 'running' }), false);
+  assert.equal(isTerminalUpstreamStatus(null), false);
+});
@@ -0,0 +1,133 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { WebhookManager, WebhookError, isPrivateAddress } from '../webhooks.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function createManager(options = {}) {
+  return new WebhookManager(dir, { eventTypes: ['generation'], maxAttempts: 1, ...options });
+}
+
+// Receiver on 127.0.0.1 counting the deliveries it gets
+async function startReceiver() {
+  const receiver = { deliveries: 0 };
+  receiver.server = http.createServer((req, res) => {
+    receiver.deliveries++;
+    req.resume();
+    res.writeHead(204).end();
+  });
+  await new Promise((resolve) => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.port = receiver.server.address().port;
+  return receiver;
+}
+
+function delivered(manager) {
+  return new Promise((resolve) => { manager.onDelivery = resolve; });
+}
+
+test('classifies loopback, private, link-local and mapped addresses as private', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('refuses private targets unless they are allowed', () => {
+  const manager = createManager();
+  for (const url of ['http://127.0.0.1/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest/meta-data', 'http://0x7f.1/', 'http://localhost:8080/']) {
+    assert.throws(() => manager.create({ url, events: ['generation'] }), WebhookError, url);
+  }
+  assert.equal(manager.create({ url: 'https://hooks.example.com/krea', events: ['generation'] }).url, 'https://hooks.example.com/krea');
+
+  const allowing = createManager({ allowPrivate: true });
+  assert.equal(allowing.create({ url: 'http://127.0.0.1/hook', events: ['generation'] }).url, 'http://127.0.0.1/hook');
+});
+
+test('fails lookups of host names that resolve to private addresses', async () => {
+  const manager = createManager();
+  const lookup = (options) => new Promise((resolve) => {
+    manager.lookup('localhost', options, (error, address) => resolve({ error, address }));
+  });
+
+  for (const options of [{}, { all: true }]) {
+    const { error } = await lookup(options);
+    assert.ok(error instanceof WebhookError);
+    assert.match(error.message, /localhost resolves to the private address/);
+  }
+
+  manager.options.allowPrivate = true;
+  const { error, address } = await lookup({ all: true });
+  assert.equal(error, null);
+  assert.ok(address.length > 0);
+});
+
+test('dead-letters deliveries to private targets made before they were refused', async () => {
+  const receiver = await startReceiver();
+  try {
+    const manager = createManager();
+    // Added to the map directly, as if persisted while private targets were allowed
+    const subscription = { id: 'internal', source: 'api', url: `http://localhost:${receiver.port}/`, events: ['generation'], sessions: null, secret: null };
+    manager.subscriptions.set(subscription.id, subscription);
+
+    const result = delivered(manager);
+    manager.dispatch({ type: 'generation', sessionId: 'default', data: {} });
+    assert.equal(await result, 'dead_letter');
+    assert.equal(receiver.deliveries, 0);
+    assert.match(manager.getDeadLetters()[0].error, /private addresses/);
+
+    manager.options.allowPrivate = true;
+    const allowed = delivered(manager);
+    manager.dispatch({ type: 'generation', sessionId: 'default', data: {} });
+    assert.equal(await allowed, 'success');
+    assert.equal(receiver.deliveries, 1);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+test('requires a secret for configured URLs', () => {
+  const manager = createManager();
+  assert.throws(() => manager.setConfigured(['https://hooks.example.com/krea'], { events: 'generation', secret: null }), /WEBHOOK_SECRET/);
+  manager.setConfigured(['https://hooks.example.com/krea'], { events: 'generation', secret: 'a-long-enough-secret' });
+  assert.equal(manager.list()[0].signed, true);
+});
+
+test('rotates the dead-letter log and reads the newest records across both files', () => {
+  const manager = createManager({ maxDeadLetterBytes: 1024 });
+  for (let i = 0; i < 30; i++) {
+    manager.appendDeadLetter({ deliveryId: `d${i}`, error: 'x'.repeat(100) });
+  }
+
+  const deadLettersPath = path.join(dir, 'dead-letters.jsonl');
+  assert.ok(fs.existsSync(`${deadLettersPath}.1`));
+  assert.ok(fs.statSync(deadLettersPath).size <= 1024 + 200);
+
+  const records = manager.getDeadLetters(12);
+  assert.deepEqual(records.map((record) => record.deliveryId), Array.from({ length: 12 }, (_, i) => `d${29 - i}`));
+});
+
+test('reads the last records of a large dead-letter log and skips a truncated line', () => {
+  const manager = createManager();
+  const deadLettersPath = path.join(dir, 'dead-letters.jsonl');
+  const lines = Array.from({ length: 5000 }, (_, i) => JSON.stringify({ deliveryId: `d${i}`, note: 'é'.repeat(40) }));
+  fs.writeFileSync(deadLettersPath, lines.join('\n') + '\n{"deliveryId":"trunc');
+
+  const latest = manager.getDeadLetters(3);
+  assert.ok(latest.length <= 3);
+  assert.equal(latest[0].deliveryId, 'd4999');
+  assert.equal(manager.getDeadLetters(6000).length, 5000);
+});
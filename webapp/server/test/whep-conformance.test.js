@@ -0,0 +1,165 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockWHEPServer, loadWrtc, waitFor } from './helpers/mock-whep-server.js';
+
+const wrtc = await loadWrtc();
+const skip = wrtc ? false : '@koush/wrtc native binding is not built';
+const { WHEPClient } = wrtc ? await import('../whep-client.js') : {};
+
+const servers = [];
+
+async function startServer(options = {}) {
+  const server = new MockWHEPServer(wrtc, { fps: 10, ...options });
+  await server.start();
+  servers.push(server);
+  return server;
+}
+
+after(() => Promise.all(servers.map((server) => server.stop())));
+
+// Resolves once the server has seen `count` requests of a method
+function waitForRequests(server, method, count = 1) {
+  return waitFor((resolve) => {
+    const check = setInterval(() => {
+      if (server.requestsOf(method).length >= count) {
+        clearInterval(check);
+        resolve(server.requestsOf(method));
+      }
+    }, 20);
+  }, 10000, `${count} ${method} request(s)`);
+}
+
+test('posts the offer and keeps the session from the 201 Location and ETag', { skip }, async () => {
+  const server = await startServer();
+  const client = new WHEPClient(server.url, { iceServers: [] });
+  try {
+    await client.connect();
+
+    const [offer] = server.requestsOf('POST');
+    assert.equal(offer.headers['content-type'], 'application/sdp');
+    assert.equal(offer.headers.accept, 'application/sdp');
+    assert.match(offer.body, /^v=0\r\n/);
+
+    const [id] = server.sessions.keys();
+    assert.equal(client.resourceUrl, `http://127.0.0.1:${server.port}/whep/sessions/${id}`);
+    assert.equal(client.etag, server.sessions.get(id).etag);
+  } finally {
+    await client.disconnect();
+  }
+});
+
+test('trickles candidates as sdpfrag PATCHes that match the session ETag', { skip }, async () => {
+  const server = await startServer();
+  const client = new WHEPClient(server.url, { iceServers: [] });
+  try {
+    await client.connect();
+    const patches = await waitForRequests(server, 'PATCH');
+    const [id] = server.sessions.keys();
+
+    for (const patch of patches) {
+      assert.equal(patch.url, `/whep/sessions/${id}`);
+      assert.equal(patch.headers['content-type'], 'application/trickle-ice-sdpfrag');
+      assert.equal(patch.headers['if-match'], server.sessions.get(id).etag);
+      assert.match(patch.body, /^a=ice-ufrag:.+\r\na=ice-pwd:.+\r\nm=video 9 /);
+    }
+    assert.ok(patches.some((patch) => patch.body.includes('\r\na=candidate:')), 'candidates are trickled');
+  } finally {
+    await client.disconnect();
+  }
+});
+
+test('restarts ICE when a trickle PATCH fails the If-Match precondition', { skip }, async () => {
+  const server = await startServer();
+  const client = new WHEPClient(server.url, { iceServers: [] });
+  try {
+    await client.connect();
+    await waitForRequests(server, 'PATCH');
+    const [session] = server.sessions.values();
+    const staleEtag = session.etag;
+    session.etag = '"changed-elsewhere"';
+
+    const reconnecting = waitFor((resolve) => { client.onReconnecting = resolve; }, 10000, 'onReconnecting');
+    const sent = server.requestsOf('PATCH').length;
+    client.queueCandidate(null);
+
+    assert.equal((await reconnecting).method, 'ice_restart');
+    const [stale, restart] = (await waitForRequests(server, 'PATCH', sent + 2)).slice(sent);
+    assert.equal(stale.headers['if-match'], staleEtag);
+    assert.equal(restart.headers['if-match'], '*');
+
+    await waitFor((resolve) => {
+      const check = setInterval(() => {
+        if (client.etag === session.etag) {
+          clearInterval(check);
+          resolve();
+        }
+      }, 20);
+    }, 10000, 'the restarted session ETag');
+    assert.equal(server.requestsOf('POST').length, 1);
+  } finally {
+    await client.disconnect();
+  }
+});
+
+test('deletes the session on disconnect', { skip }, async () => {
+  const server = await startServer();
+  const client = new WHEPClient(server.url, { iceServers: [] });
+  await client.connect();
+  const [id] = server.sessions.keys();
+
+  await client.disconnect();
+
+  const [teardown] = server.requestsOf('DELETE');
+  assert.equal(teardown.url, `/whep/sessions/${id}`);
+  assert.equal(server.sessions.size, 0);
+  assert.equal(client.resourceUrl, null);
+});
+
+test('uses ICE servers from Link headers', { skip }, async () => {
+  const server = await startServer({
+    link: [
+      '<stun:stun.example.com:3478>; rel="ice-server"',
+      '<turn:turn.example.com:3478?transport=udp>; rel="ice-server"; username="user"; credential="p;ss"; credential-type="password"',
+      '<https://example.com/docs>; rel="help"'
+    ].join(', ')
+  });
+  const client = new WHEPClient(server.url, { iceServers: [] });
+  try {
+    await client.connect();
+    assert.deepEqual(client.serverIceServers, [
+      { urls: 'stun:stun.example.com:3478' },
+      { urls: 'turn:turn.example.com:3478?transport=udp', username: 'user', credential: 'p;ss' }
+    ]);
+    assert.deepEqual(client.peerConnection.getConfiguration().iceServers.map((server) => server.urls).flat(), [
+      'stun:stun.example.com:3478',
+      'turn:turn.example.com:3478?transport=udp'
+    ]);
+  } finally {
+    await client.disconnect();
+  }
+});
+
+test('sends the Bearer token with every request', { skip }, async () => {
+  const server = await startServer({ token: 's3cret' });
+  const client = new WHEPClient(server.url, { iceServers: [], token: 's3cret' });
+  await client.connect();
+  await waitForRequests(server, 'PATCH');
+  await client.disconnect();
+
+  const methods = new Set(server.requests.map((request) => request.method));
+  assert.deepEqual([...methods].sort(), ['DELETE', 'PATCH', 'POST']);
+  for (const request of server.requests) {
+    assert.equal(request.headers.authorization, 'Bearer s3cret', `${request.method} ${request.url}`);
+  }
+});
+
+test('fails to connect when the endpoint rejects the token', { skip }, async () => {
+  const server = await startServer({ token: 's3cret' });
+  const client = new WHEPClient(server.url, { iceServers: [], token: 'wrong' });
+  try {
+    await assert.rejects(client.connect(), /WHEP handshake failed: 401/);
+    assert.equal(server.sessions.size, 0);
+  } finally {
+    await client.disconnect();
+  }
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { MockWHEPServer, loadWrtc, waitFor } from './helpers/mock-whep-server.js';
+
+const wrtc = await loadWrtc();
+const skip = wrtc ? false : '@koush/wrtc native binding is not built';
+const { WHEPClient, WHEPFrameExtractor } = wrtc ? await import('../whep-client.js') : {};
+
+let server;
+
+before(async () => {
+  if (skip) return;
+  server = new MockWHEPServer(wrtc, { width: 320, height: 240, color: [255, 0, 0] });
+  await server.start();
+});
+
+after(() => server?.stop());
+
+test('decodes track frames to JPEG with the source size and color', { skip }, async () => {
+  const client = new WHEPClient(server.url, { iceServers: [] });
+  try {
+    await client.connect();
+    const frame = await waitFor((resolve) => { client.onFrame = resolve; }, 10000, 'a frame');
+
+    assert.equal(frame.format, 'jpeg');
+    assert.equal(frame.width, 320);
+    assert.equal(frame.height, 240);
+    assert.equal(frame.sourceWidth, 320);
+    assert.ok(Math.abs(frame.timestamp - Date.now()) < 5000, 'timestamp is the receive time');
+    assert.deepEqual([...frame.data.subarray(0, 2)], [0xff, 0xd8]);
+
+    const { channels: [red, green, blue] } = await sharp(frame.data).stats();
+    assert.ok(red.mean > 200 && green.mean < 60 && blue.mean < 60, `frame is red, got ${red.mean}/${green.mean}/${blue.mean}`);
+  } finally {
+    await client.disconnect();
+  }
+});
+
+test('downscales frames to fit maxWidth and maxHeight', { skip }, async () => {
+  const client = new WHEPClient(server.url, { iceServers: [], maxWidth: 160, maxHeight: 160, jpegQuality: 50 });
+  try {
+    await client.connect();
+    const frame = await waitFor((resolve) => { client.onFrame = resolve; }, 10000, 'a frame');
+    assert.equal(frame.width, 160);
+    assert.equal(frame.height, 120);
+    assert.equal(frame.sourceHeight, 240);
+  } finally {
+    await client.disconnect();
+  }
+});
+
+test('frame extractor yields numbered frames to an async iterator', { skip }, async () => {
+  const extractor = new WHEPFrameExtractor(server.url, { iceServers: [], maxQueueSize: 3 });
+  try {
+    await extractor.connect();
+    const frames = [];
+    for await (const frame of extractor) {
+      frames.push(frame);
+      if (frames.length === 3) break;
+    }
+    assert.equal(frames[0].keyFrame, true);
+    assert.ok(frames[1].frameNumber > frames[0].frameNumber);
+  } finally {
+    await extractor.disconnect();
+  }
+});
+
+test('counts every decoded frame even when the consumer falls behind', { skip }, async () => {
+  const extractor = new WHEPFrameExtractor(server.url, { iceServers: [], maxQueueSize: 1 });
+  let received = 0;
+  extractor.onFrameReceived = () => { received++; };
+  try {
+    await extractor.connect();
+    await waitFor((resolve) => { extractor.onFrame = resolve; }, 10000, 'a frame');
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    // Nothing consumed the queue, yet the upstream rate is still counted
+    assert.ok(received >= 10, `expected at least 10 received frames, got ${received}`);
+  } finally {
+    await extractor.disconnect();
+  }
+});
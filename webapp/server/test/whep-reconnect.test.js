@@ -0,0 +1,186 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockWHEPServer, loadWrtc, waitFor } from './helpers/mock-whep-server.js';
+
+const wrtc = await loadWrtc();
+const skip = wrtc ? false : '@koush/wrtc native binding is not built';
+const { WHEPClient } = wrtc ? await import('../whep-client.js') : {};
+
+// Losing a peer is only noticed once ICE consent checks time out
+const DISCONNECT_TIMEOUT = 40000;
+
+const servers = [];
+
+async function startServer() {
+  const server = new MockWHEPServer(wrtc, { fps: 10 });
+  await server.start();
+  servers.push(server);
+  return server;
+}
+
+after(() => Promise.all(servers.map((server) => server.stop())));
+
+function nextFrame(client) {
+  return waitFor((resolve) => { client.onFrame = resolve; }, 10000, 'a frame');
+}
+
+test('builds sdpfrag bodies from the negotiated media sections', { skip }, () => {
+  const client = new WHEPClient('http://127.0.0.1/whep');
+  const sdp = [
+    'v=0',
+    'a=group:BUNDLE video data',
+    'm=video 50000 UDP/TLS/RTP/SAVPF 96 97',
+    'a=ice-ufrag:abcd',
+    'a=ice-pwd:secret',
+    'a=mid:video',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'a=mid:data',
+    ''
+  ].join('\r\n');
+
+  const fragment = client.buildSdpFragment(sdp, [
+    { candidate: 'candidate:1 1 udp 1 192.0.2.1 50000 typ host', sdpMid: 'video' },
+    { candidate: 'candidate:2 1 udp 1 192.0.2.1 50001 typ host', sdpMLineIndex: 1 },
+    null
+  ]);
+
+  assert.equal(fragment, [
+    'a=ice-ufrag:abcd',
+    'a=ice-pwd:secret',
+    'm=video 9 UDP/TLS/RTP/SAVPF 96 97',
+    'a=mid:video',
+    'a=candidate:1 1 udp 1 192.0.2.1 50000 typ host',
+    'a=end-of-candidates',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'a=mid:data',
+    'a=candidate:2 1 udp 1 192.0.2.1 50001 typ host',
+    'a=end-of-candidates',
+    ''
+  ].join('\r\n'));
+});
+
+test('restarts ICE on the existing session with new credentials', { skip }, async () => {
+  const server = await startServer();
+  const client = new WHEPClient(server.url, { iceServers: [] });
+  try {
+    await client.connect();
+    await nextFrame(client);
+    const etag = client.etag;
+
+    const reconnecting = waitFor((resolve) => { client.onReconnecting = resolve; }, 10000, 'onReconnecting');
+    await client.restartIce();
+    assert.deepEqual(await reconnecting, { method: 'ice_restart', attempt: 0, maxAttempts: 3, delay: 0 });
+
+    const [restart] = server.requestsOf('PATCH').filter((request) => request.headers['if-match'] === '*');
+    assert.ok(restart, 'ICE restart PATCH with If-Match: *');
+    assert.equal(restart.headers['content-type'], 'application/trickle-ice-sdpfrag');
+    const offerMLine = server.requestsOf('POST')[0].body.split('\r\n').find((line) => line.startsWith('m='));
+    assert.ok(restart.body.includes(`${offerMLine.replace(/^(m=\S+) \d+/, '$1 9')}\r\na=mid:0\r\n`), 'fragment carries the negotiated m-line and mid');
+    assert.notEqual(client.etag, etag, 'ETag of the restarted session is kept');
+    assert.equal(server.requestsOf('POST').length, 1, 'the session is not recreated');
+
+    await nextFrame(client);
+    assert.equal(client.isConnected, true);
+  } finally {
+    await client.disconnect();
+  }
+});
+
+describe('session ended by the server', { skip }, () => {
+  test('closes without reconnecting once the session resource is gone', async () => {
+    const server = await startServer();
+    const client = new WHEPClient(server.url, { iceServers: [], maxReconnectAttempts: 3, reconnectBaseDelay: 200 });
+    const attempts = [];
+    client.onReconnecting = (event) => attempts.push(event);
+    try {
+      await client.connect();
+      await nextFrame(client);
+
+      server.endSessions();
+      const reason = await waitFor((resolve) => { client.onDisconnect = resolve; }, DISCONNECT_TIMEOUT, 'onDisconnect');
+      assert.equal(reason, 'closed');
+
+      assert.deepEqual(attempts.map((event) => event.method), ['ice_restart']);
+      assert.equal(server.requestsOf('POST').length, 1, 'no new session is requested');
+      assert.equal(client.recovering, false);
+      assert.equal(client.getConnectionState().reconnecting, false);
+    } finally {
+      await client.disconnect();
+    }
+  });
+
+  test('closes without reconnecting when isSessionEnded() reports the stream as over', async () => {
+    const server = await startServer();
+    let ended = false;
+    const client = new WHEPClient(server.url, {
+      iceServers: [],
+      maxReconnectAttempts: 3,
+      reconnectBaseDelay: 200,
+      isSessionEnded: async () => ended
+    });
+    try {
+      await client.connect();
+      await nextFrame(client);
+
+      // Killed along with its sessions, so only the callback knows the stream ended
+      ended = true;
+      await server.stop();
+      const reason = await waitFor((resolve) => { client.onDisconnect = resolve; }, DISCONNECT_TIMEOUT, 'onDisconnect');
+      assert.equal(reason, 'closed');
+      assert.equal(server.requestsOf('POST').length, 1);
+    } finally {
+      await client.disconnect();
+    }
+  });
+});
+
+describe('endpoint killed', { skip }, () => {
+  test('backs off between reconnect attempts and gives up', async () => {
+    const server = await startServer();
+    const client = new WHEPClient(server.url, { iceServers: [], maxReconnectAttempts: 3, reconnectBaseDelay: 200 });
+    const attempts = [];
+    client.onReconnecting = (event) => attempts.push(event);
+    try {
+      await client.connect();
+      await nextFrame(client);
+
+      await server.stop();
+      const reason = await waitFor((resolve) => { client.onDisconnect = resolve; }, DISCONNECT_TIMEOUT, 'onDisconnect');
+      assert.equal(reason, 'failed');
+
+      assert.equal(attempts[0].method, 'ice_restart');
+      const reconnects = attempts.filter((event) => event.method === 'reconnect');
+      assert.deepEqual(reconnects.map((event) => event.attempt), [1, 2, 3]);
+      reconnects.forEach(({ attempt, delay }) => {
+        // Half the exponential backoff plus up to as much jitter
+        const backoff = 200 * 2 ** (attempt - 1);
+        assert.ok(delay >= backoff / 2 && delay <= backoff, `attempt ${attempt} waited ${delay}ms`);
+      });
+      assert.equal(client.isConnected, false);
+      assert.equal(client.recovering, false);
+    } finally {
+      await client.disconnect();
+    }
+  });
+
+  test('reconnects with a new session once the endpoint is back', async () => {
+    const server = await startServer();
+    const client = new WHEPClient(server.url, { iceServers: [], maxReconnectAttempts: 3, reconnectBaseDelay: 200 });
+    try {
+      await client.connect();
+      await nextFrame(client);
+      const firstSession = server.requestsOf('POST').length;
+
+      // Restarted without its sessions, so the ICE restart PATCH gets a 404
+      await server.stop();
+      await server.start();
+      await waitFor((resolve) => { client.onReconnected = resolve; }, DISCONNECT_TIMEOUT, 'onReconnected');
+
+      assert.equal(server.requestsOf('POST').length, firstSession + 1);
+      assert.equal(server.sessions.size, 1);
+      await nextFrame(client);
+    } finally {
+      await client.disconnect();
+    }
+  });
+});
@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWrtc, waitForGathering, waitFor } from './helpers/mock-whep-server.js';
+
+const wrtc = await loadWrtc();
+const skip = wrtc ? false : '@koush/wrtc native binding is not built';
+const { WHEPRelay } = wrtc ? await import('../whep-relay.js') : {};
+
+const relays = [];
+const viewers = [];
+
+after(() => {
+  relays.forEach((relay) => relay.closeAll());
+  viewers.forEach((viewer) => viewer.close());
+});
+
+async function createRelay(options) {
+  const relay = new WHEPRelay({ iceServers: [], ...options });
+  relays.push(relay);
+  const source = new wrtc.nonstandard.RTCVideoSource();
+  await relay.setSource('stream-1', source.createTrack());
+  return relay;
+}
+
+// Offer of a viewer receiving video
+async function createViewer() {
+  const viewer = new wrtc.RTCPeerConnection({ iceServers: [] });
+  viewers.push(viewer);
+  viewer.addTransceiver('video', { direction: 'recvonly' });
+  await viewer.setLocalDescription(await viewer.createOffer());
+  await waitForGathering(viewer);
+  return viewer;
+}
+
+test('keeps viewers that connect in time', { skip }, async () => {
+  const relay = await createRelay({ connectTimeout: 2000 });
+  const viewer = await createViewer();
+  const { answerSdp } = await relay.createSession(viewer.localDescription.sdp, 'current');
+
+  await viewer.setRemoteDescription({ type: 'answer', sdp: answerSdp });
+  await waitFor((resolve) => {
+    viewer.onconnectionstatechange = () => viewer.connectionState === 'connected' && resolve();
+  }, 10000, 'the viewer to connect');
+
+  await new Promise((resolve) => setTimeout(resolve, 2500));
+  assert.equal(relay.getViewerCount(), 1);
+});
+
+test('drops viewers that never connect', { skip }, async () => {
+  const relay = await createRelay({ connectTimeout: 500 });
+  // Never applies the answer, so ICE cannot complete
+  const viewer = await createViewer();
+  await relay.createSession(viewer.localDescription.sdp, 'current');
+  assert.equal(relay.getViewerCount(), 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+  assert.equal(relay.getViewerCount(), 0);
+});
+
+test('closes a session only through the stream it was created for', { skip }, async () => {
+  const relay = await createRelay();
+  const viewer = await createViewer();
+  const { sessionId } = await relay.createSession(viewer.localDescription.sdp, 'stream-1');
+
+  assert.equal(relay.closeSession(sessionId, 'current'), false);
+  assert.equal(relay.closeSession(sessionId, 'stream-2'), false);
+  assert.equal(relay.getViewerCount(), 1);
+  assert.equal(relay.closeSession(sessionId, 'stream-1'), true);
+  assert.equal(relay.getViewerCount(), 0);
+});
@@ -0,0 +1,408 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+
+export class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+// Loopback, private, link-local (where cloud metadata services such as
+// 169.254.169.254 live), shared, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are matched against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+export function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Signature of a delivery: HMAC-SHA256 over "<timestamp>.<body>" with the
+// subscription's secret, sent as "X-Krea-Signature: sha256=<hex>"
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// POSTs session broadcasts to subscribed URLs. Subscriptions made through the
+// API are persisted to <dir>/subscriptions.json, deliveries that failed every
+// attempt are appended to <dir>/dead-letters.jsonl, which is moved to
+// dead-letters.jsonl.1 when it outgrows maxDeadLetterBytes. Retries are kept
+// in memory and are lost when the server stops.
+//
+// Unless allowPrivate is set, deliveries only go to public addresses: IP
+// literals are checked with the URL, host names when they are resolved for
+// each connection, so they cannot be rebound to a private address later.
+// Redirects are not followed.
+export class WebhookManager {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.subscriptionsPath = dir ? path.join(dir, 'subscriptions.json') : null;
+    this.deadLettersPath = dir ? path.join(dir, 'dead-letters.jsonl') : null;
+    this.options = {
+      eventTypes: [], // Message types subscriptions may ask for
+      timeout: 5000,
+      maxAttempts: 5,
+      retryDelay: 1000, // Doubled after every failed attempt
+      allowPrivate: false,
+      maxDeadLetterBytes: 10 * 1024 * 1024,
+      ...options
+    };
+    const lookup = (hostname, options, callback) => this.lookup(hostname, options, callback);
+    this.agents = { 'http:': new http.Agent({ lookup }), 'https:': new https.Agent({ lookup }) };
+    this.subscriptions = new Map(); // Id -> subscription
+    this.retryTimers = new Set();
+    this.onDelivery = null; // (result) => void with result success, retry or dead_letter
+    this.load();
+  }
+
+  load() {
+    if (!this.subscriptionsPath || !fs.existsSync(this.subscriptionsPath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.subscriptionsPath, 'utf8'));
+      (data.subscriptions || []).forEach((subscription) => this.subscriptions.set(subscription.id, subscription));
+      logger.info(`Loaded ${this.subscriptions.size} webhook subscription(s) from ${this.subscriptionsPath}`);
+    } catch (error) {
+      logger.error(`Failed to load webhook subscriptions from ${this.subscriptionsPath}:`, error);
+    }
+  }
+
+  persist() {
+    if (!this.subscriptionsPath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const subscriptions = [...this.subscriptions.values()].filter((subscription) => subscription.source === 'api');
+      const tmpPath = `${this.subscriptionsPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ subscriptions }, null, 2));
+      fs.renameSync(tmpPath, this.subscriptionsPath);
+    } catch (error) {
+      logger.error(`Failed to persist webhook subscriptions to ${this.subscriptionsPath}:`, error);
+    }
+  }
+
+  // Subscriptions from the server configuration, replaced on every call and never persisted
+  setConfigured(urls, { events, secret }) {
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.source === 'config') {
+        this.subscriptions.delete(id);
+      }
+    }
+    if (urls?.length > 0 && !secret) {
+      throw new WebhookError('WEBHOOK_SECRET is required for WEBHOOK_URLS');
+    }
+    (urls || []).forEach((url, index) => {
+      const subscription = this.validate({ url, events, secret });
+      this.subscriptions.set(`config-${index + 1}`, {
+        id: `config-${index + 1}`,
+        source: 'config',
+        ...subscription,
+        createdAt: null
+      });
+    });
+  }
+
+  // Throws a WebhookError for invalid fields, returns the normalized ones
+  validate({ url, events, sessions = null, secret = null, description = null }) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw new WebhookError(`Invalid webhook URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new WebhookError('Webhook URLs must use http or https');
+    }
+    this.checkTarget(parsedUrl);
+
+    const eventList = typeof events === 'string' ? events.split(',').map((event) => event.trim()).filter(Boolean) : events;
+    if (!Array.isArray(eventList) || eventList.length === 0) {
+      throw new WebhookError(`events must list message types, or * for all of: ${this.options.eventTypes.join(', ')}`);
+    }
+    const unknown = eventList.filter((event) => event !== '*' && !this.options.eventTypes.includes(event));
+    if (unknown.length > 0) {
+      throw new WebhookError(`Unknown webhook events: ${unknown.join(', ')}`);
+    }
+
+    if (sessions !== null && (!Array.isArray(sessions) || sessions.some((session) => typeof session !== 'string'))) {
+      throw new WebhookError('sessions must be a list of session ids');
+    }
+    if (secret !== null && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new WebhookError('secret must be at least 16 characters');
+    }
+
+    return {
+      url: parsedUrl.toString(),
+      events: eventList,
+      sessions,
+      secret,
+      description: description ? String(description).slice(0, 200) : null
+    };
+  }
+
+  // Host names are checked when they are resolved, see lookup
+  checkTarget(parsedUrl) {
+    if (this.options.allowPrivate) {
+      return;
+    }
+    const host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+      throw new WebhookError(`Webhook URLs may not point to private addresses: ${host}`);
+    }
+  }
+
+  // dns.lookup for the delivery agents, failing for private addresses
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error || this.options.allowPrivate) {
+        return callback(error, address, family);
+      }
+      const addresses = Array.isArray(address) ? address : [{ address }];
+      const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+      if (blocked) {
+        return callback(new WebhookError(`${hostname} resolves to the private address ${blocked.address}`));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  // The secret is generated unless given, and only returned here
+  create(fields) {
+    const subscription = {
+      id: uuidv4(),
+      source: 'api',
+      ...this.validate(fields),
+      createdAt: Date.now()
+    };
+    subscription.secret = subscription.secret || crypto.randomBytes(24).toString('hex');
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.persist();
+    logger.info(`Webhook subscription ${subscription.id} created for ${subscription.url}: ${subscription.events.join(', ')}`);
+    return subscription;
+  }
+
+  delete(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return false;
+    }
+    if (subscription.source === 'config') {
+      throw new WebhookError('Webhooks from the server configuration cannot be deleted through the API', 409);
+    }
+
+    this.subscriptions.delete(id);
+    this.persist();
+    logger.info(`Webhook subscription ${id} deleted`);
+    return true;
+  }
+
+  list() {
+    return [...this.subscriptions.values()].map(({ secret, ...subscription }) => ({
+      ...subscription,
+      signed: !!secret
+    }));
+  }
+
+  matches(subscription, message) {
+    const eventMatches = subscription.events.includes('*')
+      ? this.options.eventTypes.includes(message.type)
+      : subscription.events.includes(message.type);
+    return eventMatches && (!subscription.sessions || subscription.sessions.includes(message.sessionId));
+  }
+
+  // Called with every session broadcast
+  dispatch(message) {
+    for (const subscription of this.subscriptions.values()) {
+      if (!this.matches(subscription, message)) continue;
+
+      const delivery = {
+        id: uuidv4(),
+        event: message.type,
+        sessionId: message.sessionId,
+        timestamp: message.timestamp || Date.now(),
+        message
+      };
+      this.deliver(subscription, delivery, 1);
+    }
+  }
+
+  async deliver(subscription, delivery, attempt) {
+    const body = JSON.stringify(delivery);
+    const timestamp = String(Date.now());
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'krea-realtime-webhooks',
+      'X-Krea-Event': delivery.event,
+      'X-Krea-Delivery': delivery.id,
+      'X-Krea-Timestamp': timestamp
+    };
+    if (subscription.secret) {
+      headers['X-Krea-Signature'] = signPayload(subscription.secret, timestamp, body);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+    let error;
+    try {
+      // Subscriptions made before allowPrivate was turned off are checked again
+      this.checkTarget(new URL(subscription.url));
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        agent: (parsedUrl) => this.agents[parsedUrl.protocol],
+        signal: controller.signal
+      });
+      if (response.ok) {
+        this.report('success');
+        return;
+      }
+      error = `Responded with status ${response.status}`;
+    } catch (fetchError) {
+      error = fetchError.name === 'AbortError' ? `Timed out after ${this.options.timeout}ms` : fetchError.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // A subscription deleted in the meantime gets no more attempts
+    if (!this.subscriptions.has(subscription.id)) {
+      return;
+    }
+
+    if (attempt < this.options.maxAttempts) {
+      const delay = this.options.retryDelay * 2 ** (attempt - 1);
+      logger.warn(`Webhook delivery ${delivery.id} to ${subscription.url} failed (${error}), retry ${attempt}/${this.options.maxAttempts - 1} in ${delay}ms`);
+      this.report('retry');
+      const retryTimer = setTimeout(() => {
+        this.retryTimers.delete(retryTimer);
+        this.deliver(subscription, delivery, attempt + 1);
+      }, delay);
+      this.retryTimers.add(retryTimer);
+      return;
+    }
+
+    logger.error(`Webhook delivery ${delivery.id} to ${subscription.url} failed after ${attempt} attempt(s): ${error}`);
+    this.report('dead_letter');
+    this.appendDeadLetter({
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      event: delivery.event,
+      attempts: attempt,
+      error,
+      failedAt: Date.now(),
+      payload: delivery
+    });
+  }
+
+  report(result) {
+    if (this.onDelivery) {
+      this.onDelivery(result);
+    }
+  }
+
+  appendDeadLetter(record) {
+    if (!this.deadLettersPath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      if (fs.existsSync(this.deadLettersPath) && fs.statSync(this.deadLettersPath).size >= this.options.maxDeadLetterBytes) {
+        fs.renameSync(this.deadLettersPath, `${this.deadLettersPath}.1`);
+      }
+      fs.appendFileSync(this.deadLettersPath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error(`Failed to append webhook dead letter to ${this.deadLettersPath}:`, error);
+    }
+  }
+
+  // Most recent dead letters first, continuing into the rotated log
+  getDeadLetters(limit = 50) {
+    if (!this.deadLettersPath) {
+      return [];
+    }
+
+    const records = [];
+    for (const filePath of [this.deadLettersPath, `${this.deadLettersPath}.1`]) {
+      for (const line of readLastLines(filePath, limit - records.length)) {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // A crash mid-write can leave a truncated last line behind
+        }
+      }
+    }
+    return records;
+  }
+
+  close() {
+    this.retryTimers.forEach((timer) => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+}
+
+// Up to `count` last non-empty lines of a file, last first. Reads backwards in
+// chunks, so only the end of the file is loaded
+function readLastLines(filePath, count, chunkSize = 64 * 1024) {
+  if (count <= 0 || !fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const lines = [];
+  const pushLine = (bytes) => {
+    const line = bytes.toString('utf8');
+    if (line.trim()) {
+      lines.push(line);
+    }
+  };
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    let buffer = Buffer.alloc(0); // Start of the file not split into lines yet
+    while (position > 0 && lines.length < count) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      buffer = Buffer.concat([chunk, buffer]);
+
+      // The part before the first newline may continue in the previous chunk
+      let end = buffer.length;
+      let newline;
+      while (lines.length < count && end > 0 && (newline = buffer.lastIndexOf(0x0a, end - 1)) !== -1) {
+        pushLine(buffer.subarray(newline + 1, end));
+        end = newline;
+      }
+      buffer = buffer.subarray(0, end);
+    }
+    if (position === 0 && lines.length < count) {
+      pushLine(buffer);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return lines.slice(0, count);
+}
@@ -1,163 +1,711 @@
 import wrtc from '@koush/wrtc';
 import fetch from 'node-fetch';
-import winston from 'winston';
+import { logger } from './logger.js';
+import sharp from 'sharp';
 
 const { RTCPeerConnection, RTCSessionDescription } = wrtc;
-
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.simple(),
-  transports: [new winston.transports.Console()]
-});
+const { RTCVideoSink, i420ToRgba } = wrtc.nonstandard;
 
 export class WHEPClient {
   constructor(whepUrl, options = {}) {
     this.whepUrl = whepUrl;
+    // Defaults come last so options given as undefined do not override them
     this.options = {
+      ...options,
       iceServers: options.iceServers || [{ urls: 'stun:stun.l.google.com:19302' }],
       timeout: options.timeout || 10000,
-      ...options
+      jpegQuality: options.jpegQuality || 80,
+      maxWidth: options.maxWidth || null, // Downscale frames to fit, null keeps source size
+      maxHeight: options.maxHeight || null,
+      maxReconnectAttempts: options.maxReconnectAttempts ?? 3,
+      reconnectBaseDelay: options.reconnectBaseDelay || 1000,
+      reconnectMaxDelay: options.reconnectMaxDelay || 30000,
+      token: options.token || null, // Bearer token sent with every WHEP request
+      isSessionEnded: options.isSessionEnded || null // async () => true once the stream has ended upstream
     };
     
     this.peerConnection = null;
     this.isConnected = false;
+    this.resourceUrl = null;
+    this.etag = null;
+    this.serverIceServers = null; // ICE servers advertised through Link headers
+    this.pendingCandidates = []; // Local candidates waiting to be trickled
+    this.trickleReady = false;
+    this.trickleInFlight = false;
+    this.trickleSupported = true;
+    this.closedByUser = false;
+    this.closedByServer = false; // The server ended the session, so it is not reconnected
+    this.pendingRequests = new Set(); // AbortControllers of requests in flight
+    this.recovering = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.iceRestartTimer = null;
+    this.videoTrack = null;
+    this.videoSink = null;
+    this.frameCount = 0;
+    this.droppedFrames = 0;
+    this.encoding = false;
+    this.rgbaBuffer = null;
     this.onFrame = null;
+    this.onFrameReceived = null; // Every decoded frame, also those dropped before encoding
     this.onError = null;
     this.onConnect = null;
     this.onDisconnect = null;
+    this.onTrack = null;
+    this.onReconnecting = null;
+    this.onReconnected = null;
   }
 
   async connect() {
+    this.closedByUser = false;
+    this.closedByServer = false;
+    this.reconnectAttempts = 0;
+    this.serverIceServers = null;
+    this.trickleSupported = true;
+
     try {
-      logger.info(`Connecting to WHEP endpoint: ${this.whepUrl}`);
-      
-      // Create peer connection
-      this.peerConnection = new RTCPeerConnection({
-        iceServers: this.options.iceServers
-      });
+      await this.negotiate();
+      return true;
+    } catch (error) {
+      logger.error('WHEP connection failed:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+      throw error;
+    }
+  }
 
-      // Set up event handlers
-      this.setupPeerConnectionHandlers();
+  // Create a fresh peer connection and run the WHEP offer/answer exchange
+  async negotiate() {
+    logger.info(`Connecting to WHEP endpoint: ${this.whepUrl}`);
+    this.teardownPeerConnection();
+    this.deleteResource();
+    this.pendingCandidates = [];
+    this.trickleReady = false;
 
-      // Create offer
-      const offer = await this.peerConnection.createOffer({
-        offerToReceiveVideo: true,
-        offerToReceiveAudio: false
-      });
-      
-      await this.peerConnection.setLocalDescription(offer);
-
-      // Send offer to WHEP endpoint
-      const response = await fetch(this.whepUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/sdp',
-          'Accept': 'application/sdp'
-        },
-        body: offer.sdp
+    // Create peer connection, preferring ICE servers the endpoint gave us earlier
+    this.peerConnection = new RTCPeerConnection({
+      iceServers: this.serverIceServers || this.options.iceServers
+    });
+
+    const peerConnection = this.peerConnection;
+
+    // Set up event handlers
+    this.setupPeerConnectionHandlers();
+
+    // Create offer
+    const offer = await this.peerConnection.createOffer({
+      offerToReceiveVideo: true,
+      offerToReceiveAudio: false
+    });
+    
+    await this.peerConnection.setLocalDescription(offer);
+
+    // Send offer to WHEP endpoint
+    const response = await this.request(this.whepUrl, {
+      method: 'POST',
+      headers: this.buildHeaders({
+        'Content-Type': 'application/sdp',
+        'Accept': 'application/sdp'
+      }),
+      body: offer.sdp
+    });
+
+    if (!response.ok) {
+      throw new Error(`WHEP handshake failed: ${response.status} ${response.statusText}`);
+    }
+
+    // The session resource is the target of trickle ICE, ICE restarts and teardown
+    const location = response.headers.get('location');
+    this.resourceUrl = location ? new URL(location, this.whepUrl).toString() : null;
+    this.etag = response.headers.get('etag');
+    if (!this.resourceUrl) {
+      logger.warn('WHEP endpoint returned no Location header, trickle ICE and teardown are disabled');
+    }
+
+    this.applyLinkIceServers(response.headers.get('link'));
+
+    const answerSdp = await response.text();
+
+    // disconnect() during the handshake left the new session behind
+    if (this.closedByUser || peerConnection !== this.peerConnection) {
+      this.deleteResource();
+      throw new Error('WHEP connection was closed during the handshake');
+    }
+
+    const answer = new RTCSessionDescription({
+      type: 'answer',
+      sdp: answerSdp
+    });
+
+    await this.peerConnection.setRemoteDescription(answer);
+    
+    logger.info('WHEP connection established');
+
+    this.trickleReady = true;
+    this.flushCandidates();
+  }
+
+  buildHeaders(headers = {}) {
+    if (this.options.token) {
+      return { ...headers, 'Authorization': `Bearer ${this.options.token}` };
+    }
+    return headers;
+  }
+
+  // Parse `Link: <turn:host>; rel="ice-server"; username="u"; credential="p"`
+  // headers into RTCIceServer entries
+  parseLinkHeader(header) {
+    if (!header) {
+      return [];
+    }
+
+    const iceServers = [];
+    const linkPattern = /<([^>]+)>((?:\s*;\s*[\w-]+\s*=\s*(?:"[^"]*"|[^;,]*))*)/g;
+    for (const [, url, params] of header.matchAll(linkPattern)) {
+      const attributes = {};
+      for (const [, name, quoted, token] of params.matchAll(/;\s*([\w-]+)\s*=\s*(?:"([^"]*)"|([^;,]*))/g)) {
+        attributes[name.toLowerCase()] = quoted ?? token.trim();
+      }
+      if (attributes.rel !== 'ice-server') {
+        continue;
+      }
+
+      const iceServer = { urls: url };
+      if (attributes.username) {
+        iceServer.username = attributes.username;
+      }
+      if (attributes.credential) {
+        iceServer.credential = attributes.credential;
+      }
+      iceServers.push(iceServer);
+    }
+    return iceServers;
+  }
+
+  // ICE servers from the endpoint replace the configured ones. Gathering for
+  // the current offer has already started, so they mostly matter for ICE
+  // restarts and reconnects.
+  applyLinkIceServers(header) {
+    const iceServers = this.parseLinkHeader(header);
+    if (iceServers.length === 0) {
+      return;
+    }
+
+    logger.info(`WHEP endpoint provided ${iceServers.length} ICE server(s)`);
+    this.serverIceServers = iceServers;
+
+    if (typeof this.peerConnection.setConfiguration === 'function') {
+      try {
+        this.peerConnection.setConfiguration({
+          ...this.peerConnection.getConfiguration(),
+          iceServers
+        });
+      } catch (error) {
+        logger.warn(`Could not apply ICE servers from WHEP endpoint: ${error.message}`);
+      }
+    }
+  }
+
+  // Local candidates are held until the answer has been applied and the
+  // session resource is known. A null candidate marks the end of gathering.
+  queueCandidate(candidate) {
+    if (!this.trickleSupported) {
+      return;
+    }
+    this.pendingCandidates.push(candidate);
+    this.flushCandidates();
+  }
+
+  async flushCandidates() {
+    if (!this.trickleReady || this.trickleInFlight || !this.resourceUrl ||
+        !this.trickleSupported || this.pendingCandidates.length === 0) {
+      return;
+    }
+
+    const peerConnection = this.peerConnection;
+    const candidates = this.pendingCandidates.splice(0);
+    this.trickleInFlight = true;
+
+    try {
+      const response = await this.request(this.resourceUrl, {
+        method: 'PATCH',
+        headers: this.buildHeaders({
+          'Content-Type': 'application/trickle-ice-sdpfrag',
+          'If-Match': this.etag || '*'
+        }),
+        body: this.buildSdpFragment(peerConnection.localDescription.sdp, candidates)
       });
 
-      if (!response.ok) {
-        throw new Error(`WHEP handshake failed: ${response.status} ${response.statusText}`);
+      if (response.status === 405 || response.status === 501) {
+        logger.info('WHEP endpoint does not support trickle ICE');
+        this.trickleSupported = false;
+        this.pendingCandidates = [];
+      } else if (response.status === 412) {
+        // The session's ICE state moved on without us, renegotiate credentials
+        logger.warn('Trickle ICE rejected, session ETag changed, restarting ICE');
+        this.restartIce();
+      } else if (!response.ok) {
+        logger.warn(`Trickle ICE rejected: ${response.status} ${response.statusText}`);
       }
 
-      const answerSdp = await response.text();
-      const answer = new RTCSessionDescription({
-        type: 'answer',
-        sdp: answerSdp
+    } catch (error) {
+      logger.warn(`Failed to send ICE candidates: ${error.message}`);
+    } finally {
+      this.trickleInFlight = false;
+    }
+
+    // Candidates gathered while the PATCH was in flight go out in the next one
+    if (peerConnection === this.peerConnection) {
+      this.flushCandidates();
+    }
+  }
+
+  // Release the session on the server. Failures are only logged since the
+  // server expires abandoned sessions on its own.
+  async deleteResource() {
+    const resourceUrl = this.resourceUrl;
+    if (!resourceUrl) {
+      return;
+    }
+    this.resourceUrl = null;
+    this.etag = null;
+
+    try {
+      const response = await this.request(resourceUrl, {
+        method: 'DELETE',
+        headers: this.buildHeaders()
       });
+      if (!response.ok && response.status !== 404) {
+        logger.warn(`WHEP session teardown failed: ${response.status} ${response.statusText}`);
+      }
+    } catch (error) {
+      logger.warn(`WHEP session teardown failed: ${error.message}`);
+    }
+  }
 
-      await this.peerConnection.setRemoteDescription(answer);
-      
-      logger.info('WHEP connection established');
-      return true;
+  // fetch() that gives up after the configured WHEP timeout, or when disconnect() aborts it
+  async request(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+    this.pendingRequests.add(controller);
 
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
     } catch (error) {
-      logger.error('WHEP connection failed:', error);
-      if (this.onError) {
-        this.onError(error);
+      if (error.name === 'AbortError') {
+        throw new Error(this.closedByUser
+          ? `WHEP request to ${url} aborted, the connection was closed`
+          : `WHEP request to ${url} timed out after ${this.options.timeout}ms`);
       }
       throw error;
+    } finally {
+      clearTimeout(timer);
+      this.pendingRequests.delete(controller);
     }
   }
 
   setupPeerConnectionHandlers() {
-    this.peerConnection.oniceconnectionstatechange = () => {
-      const state = this.peerConnection.iceConnectionState;
+    const peerConnection = this.peerConnection;
+
+    peerConnection.oniceconnectionstatechange = () => {
+      const state = peerConnection.iceConnectionState;
       logger.info(`ICE connection state: ${state}`);
       
       if (state === 'connected' || state === 'completed') {
-        this.isConnected = true;
-        if (this.onConnect) {
-          this.onConnect();
-        }
-      } else if (state === 'disconnected' || state === 'failed' || state === 'closed') {
+        this.handleConnected();
+      } else if (state === 'disconnected') {
+        // Often transient, so try to recover the same session first
         this.isConnected = false;
-        if (this.onDisconnect) {
-          this.onDisconnect(state);
-        }
+        this.restartIce();
+      } else if (state === 'failed') {
+        this.isConnected = false;
+        this.recover();
       }
     };
 
-    this.peerConnection.ontrack = (event) => {
-      logger.info('Received media track');
-      const stream = event.streams[0];
-      
-      if (stream && this.onFrame) {
-        // Note: In a real implementation, you'd extract frames from the video track
-        // This is a simplified version that simulates frame reception
-        this.simulateFrameReception(stream);
+    peerConnection.ontrack = (event) => {
+      logger.info(`Received ${event.track.kind} track`);
+
+      if (event.track.kind === 'video') {
+        this.videoTrack = event.track;
+        this.startFrameSink(event.track);
+        if (this.onTrack) {
+          this.onTrack(event.track);
+        }
       }
     };
 
-    this.peerConnection.onicegatheringstatechange = () => {
-      logger.info(`ICE gathering state: ${this.peerConnection.iceGatheringState}`);
+    peerConnection.onicecandidate = (event) => {
+      this.queueCandidate(event.candidate);
+    };
+
+    peerConnection.onicegatheringstatechange = () => {
+      logger.info(`ICE gathering state: ${peerConnection.iceGatheringState}`);
     };
 
-    this.peerConnection.onsignalingstatechange = () => {
-      logger.info(`Signaling state: ${this.peerConnection.signalingState}`);
+    peerConnection.onsignalingstatechange = () => {
+      logger.info(`Signaling state: ${peerConnection.signalingState}`);
     };
   }
 
-  simulateFrameReception(stream) {
-    // Simulate frame extraction from video stream
-    // In a real implementation, you'd use canvas or video processing libraries
-    let frameCount = 0;
-    
-    const frameInterval = setInterval(() => {
-      if (!this.isConnected || !this.onFrame) {
-        clearInterval(frameInterval);
-        return;
+  handleConnected() {
+    // ICE reports connected and completed, sometimes repeatedly
+    if (this.isConnected && !this.recovering) {
+      return;
+    }
+    clearTimeout(this.iceRestartTimer);
+    this.iceRestartTimer = null;
+    const recovering = this.recovering;
+    this.isConnected = true;
+    this.recovering = false;
+    this.reconnectAttempts = 0;
+
+    if (recovering) {
+      logger.info('WHEP connection recovered');
+      if (this.onReconnected) {
+        this.onReconnected();
       }
+    } else if (this.onConnect) {
+      this.onConnect();
+    }
+  }
 
-      const frameData = {
-        frameNumber: frameCount++,
-        timestamp: Date.now(),
-        width: 1920,
-        height: 1080,
-        // In real implementation, this would be actual frame buffer
-        data: Buffer.alloc(1920 * 1080 * 3) // RGB placeholder
-      };
+  // ICE restart as described by the WHEP draft: PATCH new ICE credentials to
+  // the session resource. Falls back to a full reconnect if that is not possible.
+  async restartIce() {
+    if (this.closedByUser || this.closedByServer || this.iceRestartTimer || this.reconnectTimer) {
+      return;
+    }
+    if (!this.resourceUrl) {
+      this.recover();
+      return;
+    }
 
-      this.onFrame(frameData);
-    }, 1000 / 30); // 30 FPS
+    this.recovering = true;
+    if (this.onReconnecting) {
+      this.onReconnecting({ method: 'ice_restart', attempt: 0, maxAttempts: this.options.maxReconnectAttempts, delay: 0 });
+    }
 
-    // Clean up interval when disconnected
-    this.peerConnection.addEventListener('iceconnectionstatechange', () => {
-      if (this.peerConnection.iceConnectionState === 'disconnected' || 
-          this.peerConnection.iceConnectionState === 'closed') {
-        clearInterval(frameInterval);
+    // Give up on the restart if ICE has not recovered in time
+    this.iceRestartTimer = setTimeout(() => {
+      this.iceRestartTimer = null;
+      if (!this.isConnected) {
+        logger.warn('ICE restart did not recover the connection');
+        this.recover();
+      }
+    }, this.options.timeout);
+
+    const peerConnection = this.peerConnection;
+
+    // Candidates of the old ICE generation are useless to the server now
+    this.trickleReady = false;
+    this.pendingCandidates = [];
+
+    try {
+      const offer = await peerConnection.createOffer({ iceRestart: true });
+      await peerConnection.setLocalDescription(offer);
+
+      const response = await this.request(this.resourceUrl, {
+        method: 'PATCH',
+        headers: this.buildHeaders({
+          'Content-Type': 'application/trickle-ice-sdpfrag',
+          'If-Match': '*'
+        }),
+        body: this.buildSdpFragment(offer.sdp)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`ICE restart rejected: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+      this.etag = response.headers.get('etag') || this.etag;
+
+      // Apply the server's new ICE credentials to the existing answer
+      const fragment = await response.text();
+      const answerSdp = this.applyIceFragment(peerConnection.remoteDescription.sdp, fragment);
+      await peerConnection.setRemoteDescription(new RTCSessionDescription({
+        type: 'answer',
+        sdp: answerSdp
+      }));
+
+      logger.info('ICE restart negotiated');
+
+      this.trickleReady = true;
+      this.flushCandidates();
+
+    } catch (error) {
+      logger.warn(`ICE restart failed: ${error.message}`);
+      if (peerConnection === this.peerConnection) {
+        clearTimeout(this.iceRestartTimer);
+        this.iceRestartTimer = null;
+        this.recover(error.status);
+      }
+    }
+  }
+
+  // Build an application/trickle-ice-sdpfrag body (RFC 8840) carrying the
+  // local ICE credentials and, per media section, the given candidates.
+  // Media sections are identified by the m-line and mid of the local SDP, with
+  // the port set to 9 as candidates carry the real ones.
+  buildSdpFragment(localSdp, candidates = []) {
+    const lines = localSdp.split(/\r?\n/);
+    const ufrag = lines.find((line) => line.startsWith('a=ice-ufrag:'));
+    const pwd = lines.find((line) => line.startsWith('a=ice-pwd:'));
+    const sections = [];
+    for (const line of lines) {
+      if (line.startsWith('m=')) {
+        sections.push({ mLine: line.replace(/^(m=\S+) \d+/, '$1 9'), mid: null });
+      } else if (line.startsWith('a=mid:') && sections.length > 0) {
+        sections[sections.length - 1].mid = line.slice('a=mid:'.length);
+      }
+    }
+    const endOfCandidates = candidates.includes(null);
+
+    const fragment = [ufrag, pwd];
+    sections.forEach(({ mLine, mid }, index) => {
+      fragment.push(mLine, mid === null ? null : `a=mid:${mid}`);
+      for (const candidate of candidates) {
+        const inSection = candidate?.sdpMid != null ? candidate.sdpMid === mid : candidate?.sdpMLineIndex === index;
+        if (inSection && candidate.candidate) {
+          fragment.push(`a=${candidate.candidate}`);
+        }
+      }
+      if (endOfCandidates) {
+        fragment.push('a=end-of-candidates');
       }
     });
+    return fragment.filter(Boolean).join('\r\n') + '\r\n';
   }
 
-  disconnect() {
+  // Replace ICE credentials and candidates in an SDP with those from an sdpfrag
+  applyIceFragment(sdp, fragment) {
+    const fragmentLines = fragment.split(/\r?\n/);
+    const ufrag = fragmentLines.find((line) => line.startsWith('a=ice-ufrag:'));
+    const pwd = fragmentLines.find((line) => line.startsWith('a=ice-pwd:'));
+    const candidates = fragmentLines.filter((line) => line.startsWith('a=candidate:'));
+
+    const lines = sdp.split(/\r?\n/).filter((line) => line && !(candidates.length && line.startsWith('a=candidate:')));
+    const updated = [];
+    for (const line of lines) {
+      if (ufrag && line.startsWith('a=ice-ufrag:')) {
+        updated.push(ufrag);
+      } else if (pwd && line.startsWith('a=ice-pwd:')) {
+        updated.push(pwd);
+      } else {
+        updated.push(line);
+      }
+      if (line.startsWith('m=')) {
+        updated.push(...candidates);
+      }
+    }
+    return updated.join('\r\n') + '\r\n';
+  }
+
+  // The connection is lost and the session could not be restarted. A session
+  // the server answers 410 Gone for, or one isSessionEnded() reports as over,
+  // ended on purpose and is closed, anything else is reconnected.
+  async recover(status = null) {
+    let ended = status === 410;
+    if (!ended && this.options.isSessionEnded) {
+      try {
+        ended = await this.options.isSessionEnded();
+      } catch (error) {
+        logger.warn(`Could not check whether the WHEP session ended: ${error.message}`);
+      }
+    }
+
+    if (ended) {
+      this.handleServerClose();
+    } else {
+      this.scheduleReconnect();
+    }
+  }
+
+  // Close our side of a session the server ended and report it as closed
+  handleServerClose() {
+    if (this.closedByUser || this.closedByServer) {
+      return;
+    }
+    logger.info('WHEP session ended by the server');
+    this.closedByServer = true;
+    this.recovering = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    this.stopFrameSink();
+    this.videoTrack = null;
+    this.teardownPeerConnection();
+    // The resource may outlive the stream, releasing it is harmless otherwise
+    this.deleteResource();
+    if (this.onDisconnect) {
+      this.onDisconnect('closed');
+    }
+  }
+
+  // Full reconnect with a fresh WHEP POST, using exponential backoff with jitter
+  scheduleReconnect() {
+    if (this.closedByUser || this.closedByServer || this.reconnectTimer) {
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+      logger.error(`Giving up on WHEP connection after ${this.reconnectAttempts} reconnect attempt(s)`);
+      this.recovering = false;
+      this.teardownPeerConnection();
+      this.deleteResource();
+      if (this.onDisconnect) {
+        this.onDisconnect('failed');
+      }
+      return;
+    }
+
+    const backoff = Math.min(
+      this.options.reconnectMaxDelay,
+      this.options.reconnectBaseDelay * 2 ** this.reconnectAttempts
+    );
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    this.reconnectAttempts++;
+    this.recovering = true;
+
+    logger.info(`Reconnecting to WHEP endpoint in ${delay}ms (attempt ${this.reconnectAttempts}/${this.options.maxReconnectAttempts})`);
+    if (this.onReconnecting) {
+      this.onReconnecting({
+        method: 'reconnect',
+        attempt: this.reconnectAttempts,
+        maxAttempts: this.options.maxReconnectAttempts,
+        delay
+      });
+    }
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.negotiate();
+      } catch (error) {
+        logger.warn(`WHEP reconnect attempt ${this.reconnectAttempts} failed: ${error.message}`);
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  // Close the peer connection without reporting it as a disconnect. Callers
+  // that end the session report it themselves, as the handlers are gone by
+  // the time the peer connection reaches the closed state.
+  teardownPeerConnection() {
+    clearTimeout(this.iceRestartTimer);
+    this.iceRestartTimer = null;
+
     if (this.peerConnection) {
-      this.peerConnection.close();
+      const peerConnection = this.peerConnection;
       this.peerConnection = null;
+      peerConnection.oniceconnectionstatechange = null;
+      peerConnection.ontrack = null;
+      peerConnection.onicecandidate = null;
+      peerConnection.onicegatheringstatechange = null;
+      peerConnection.onsignalingstatechange = null;
+      peerConnection.close();
     }
     this.isConnected = false;
+    this.trickleReady = false;
+    this.pendingCandidates = [];
+  }
+
+  startFrameSink(track) {
+    this.stopFrameSink();
+    this.frameCount = 0;
+    this.droppedFrames = 0;
+
+    this.videoSink = new RTCVideoSink(track);
+    this.videoSink.onframe = ({ frame }) => {
+      if (this.onFrameReceived) {
+        this.onFrameReceived();
+      }
+      // Encoding is slower than decoding, so drop frames instead of queueing them
+      if (this.encoding) {
+        this.droppedFrames++;
+        return;
+      }
+      this.encodeFrame(frame);
+    };
+  }
+
+  stopFrameSink() {
+    if (this.videoSink) {
+      this.videoSink.stop();
+      this.videoSink = null;
+    }
+    this.rgbaBuffer = null;
+  }
+
+  // RTCVideoSink frames carry no RTP timestamp, so frames are stamped with
+  // the time they left the sink (ms since epoch)
+  async encodeFrame(frame) {
+    this.encoding = true;
+    const receivedAt = Date.now();
+
+    try {
+      const { width, height } = frame;
+      const rgbaSize = width * height * 4;
+      if (!this.rgbaBuffer || this.rgbaBuffer.length !== rgbaSize) {
+        this.rgbaBuffer = new Uint8ClampedArray(rgbaSize);
+      }
+
+      i420ToRgba(frame, { width, height, data: this.rgbaBuffer });
+
+      let image = sharp(Buffer.from(this.rgbaBuffer.buffer), {
+        raw: { width, height, channels: 4 }
+      });
+
+      if (this.options.maxWidth || this.options.maxHeight) {
+        image = image.resize(this.options.maxWidth, this.options.maxHeight, {
+          fit: 'inside',
+          withoutEnlargement: true
+        });
+      }
+
+      const { data, info } = await image
+        .jpeg({ quality: this.options.jpegQuality })
+        .toBuffer({ resolveWithObject: true });
+
+      this.handleFrame({
+        frameNumber: this.frameCount++,
+        timestamp: receivedAt,
+        width: info.width,
+        height: info.height,
+        sourceWidth: width,
+        sourceHeight: height,
+        format: 'jpeg',
+        data
+      });
+
+    } catch (error) {
+      logger.error('Frame encoding failed:', error);
+    } finally {
+      this.encoding = false;
+    }
+  }
+
+  handleFrame(frameData) {
+    if (this.onFrame) {
+      this.onFrame(frameData);
+    }
+  }
+
+  // Resolves once the server has been told to release the session
+  disconnect() {
+    this.closedByUser = true;
+    this.recovering = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    this.pendingRequests.forEach((controller) => controller.abort());
+    this.stopFrameSink();
+    this.videoTrack = null;
+    this.teardownPeerConnection();
     logger.info('WHEP connection closed');
+    return this.deleteResource();
   }
 
   getConnectionState() {
@@ -165,44 +713,115 @@ export class WHEPClient {
       isConnected: this.isConnected,
       iceConnectionState: this.peerConnection?.iceConnectionState,
       signalingState: this.peerConnection?.signalingState,
-      iceGatheringState: this.peerConnection?.iceGatheringState
+      iceGatheringState: this.peerConnection?.iceGatheringState,
+      reconnecting: this.recovering,
+      reconnectAttempts: this.reconnectAttempts,
+      frameCount: this.frameCount,
+      droppedFrames: this.droppedFrames
     };
   }
 }
 
-// Enhanced version with frame extraction capabilities
+// Enhanced version that buffers decoded frames for pull-based consumers.
+// Supports a single consumer, either through extractFrame() or async iteration.
 export class WHEPFrameExtractor extends WHEPClient {
   constructor(whepUrl, options = {}) {
     super(whepUrl, options);
-    this.canvas = null;
-    this.context = null;
     this.frameQueue = [];
     this.maxQueueSize = options.maxQueueSize || 10;
+    this.queueDroppedFrames = 0;
+    this.pendingReads = []; // Resolvers for consumers waiting on the next frame
+    this.queueClosed = false;
+    this.lastDimensions = null;
+  }
+
+  async connect() {
+    this.queueClosed = false;
+    return super.connect();
+  }
+
+  handleFrame(frameData) {
+    // A frame is "key" when consumers need it to pick up a size change
+    const keyFrame = !this.lastDimensions ||
+      this.lastDimensions.width !== frameData.width ||
+      this.lastDimensions.height !== frameData.height;
+    this.lastDimensions = { width: frameData.width, height: frameData.height };
+
+    const frame = { ...frameData, keyFrame };
+    super.handleFrame(frame);
+    this.enqueueFrame(frame);
+  }
+
+  enqueueFrame(frame) {
+    if (this.queueClosed) {
+      return;
+    }
+
+    // Hand the frame straight to a waiting consumer if there is one
+    const pendingRead = this.pendingReads.shift();
+    if (pendingRead) {
+      pendingRead({ value: frame, done: false });
+      return;
+    }
+
+    this.frameQueue.push(frame);
+    while (this.frameQueue.length > this.maxQueueSize) {
+      this.dropQueuedFrame();
+    }
+  }
+
+  dropQueuedFrame() {
+    // Drop the oldest non-key frame, or the oldest frame if all are key frames
+    let index = this.frameQueue.findIndex((frame) => !frame.keyFrame);
+    if (index === -1) {
+      index = 0;
+    }
+    this.frameQueue.splice(index, 1);
+    this.queueDroppedFrames++;
   }
 
-  setupCanvas() {
-    // Note: In Node.js, you'd use node-canvas for actual frame extraction
-    // This is a placeholder implementation
-    logger.info('Setting up canvas for frame extraction');
+  extractFrame() {
+    return this.frameQueue.shift() || null;
   }
 
-  extractFrame(videoElement) {
-    // Extract frame from video element to canvas
-    // Convert to buffer and return
-    if (!this.canvas || !this.context) {
-      this.setupCanvas();
+  // Resolves with the next frame, waiting for one to be decoded if the queue is empty
+  nextFrame() {
+    if (this.frameQueue.length > 0) {
+      return Promise.resolve({ value: this.frameQueue.shift(), done: false });
     }
+    if (this.queueClosed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve) => this.pendingReads.push(resolve));
+  }
 
-    // Placeholder frame extraction logic
-    const frameBuffer = Buffer.alloc(1920 * 1080 * 3);
+  [Symbol.asyncIterator]() {
     return {
-      buffer: frameBuffer,
-      width: 1920,
-      height: 1080,
-      timestamp: Date.now()
+      next: () => this.nextFrame(),
+      return: () => {
+        this.closeFrameQueue();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
     };
   }
 
+  // Ends iteration for all consumers and discards buffered frames
+  closeFrameQueue() {
+    this.queueClosed = true;
+    this.clearFrameQueue();
+    this.pendingReads.forEach((resolve) => resolve({ value: undefined, done: true }));
+    this.pendingReads = [];
+  }
+
+  disconnect() {
+    const teardown = super.disconnect();
+    this.closeFrameQueue();
+    return teardown;
+  }
+
   getLatestFrame() {
     return this.frameQueue.length > 0 ? this.frameQueue[this.frameQueue.length - 1] : null;
   }
@@ -214,4 +833,12 @@ export class WHEPFrameExtractor extends WHEPClient {
   clearFrameQueue() {
     this.frameQueue = [];
   }
-}
\ No newline at end of file
+
+  getConnectionState() {
+    return {
+      ...super.getConnectionState(),
+      queuedFrames: this.frameQueue.length,
+      queueDroppedFrames: this.queueDroppedFrames
+    };
+  }
+}
@@ -0,0 +1,179 @@
+import wrtc from '@koush/wrtc';
+import { logger } from './logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const { RTCPeerConnection, RTCSessionDescription, MediaStream } = wrtc;
+
+export class WHEPRelayError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'WHEPRelayError';
+    this.status = status;
+  }
+}
+
+// Acts as a WHEP endpoint for browsers, forwarding the upstream video track
+// received by WHEPClient to one peer connection per viewer
+export class WHEPRelay {
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      iceServers: options.iceServers || [{ urls: 'stun:stun.l.google.com:19302' }],
+      gatherTimeout: options.gatherTimeout || 5000,
+      connectTimeout: options.connectTimeout || 30000 // Viewers that have not connected by then are dropped
+    };
+
+    this.sessions = new Map(); // Viewer session id -> { peerConnection, sender, streamId, createdAt, connectTimer }
+    this.streamId = null;
+    this.track = null;
+    this.mediaStream = null;
+  }
+
+  hasSource() {
+    return !!this.track;
+  }
+
+  // 'current' always resolves to whatever stream is being relayed
+  matchesStream(streamId) {
+    return this.hasSource() && (streamId === 'current' || streamId === this.streamId);
+  }
+
+  // Swap the relayed track. Existing viewers keep their peer connection and
+  // just start receiving the new stream.
+  async setSource(streamId, track) {
+    this.streamId = streamId;
+    this.track = track;
+    this.mediaStream = new MediaStream([track]);
+
+    logger.info(`Relaying stream ${streamId} to ${this.sessions.size} viewer(s)`);
+
+    for (const [sessionId, session] of this.sessions) {
+      try {
+        await session.sender.replaceTrack(track);
+      } catch (error) {
+        logger.error(`Failed to replace track for viewer ${sessionId}:`, error);
+        this.closeSession(sessionId);
+      }
+    }
+  }
+
+  clearSource(streamId) {
+    if (streamId && streamId !== this.streamId) {
+      return;
+    }
+    this.streamId = null;
+    this.track = null;
+    this.mediaStream = null;
+  }
+
+  // streamId is the id the viewer asked for, 'current' included. Only
+  // closeSession() calls for the same id end the session.
+  async createSession(offerSdp, streamId = this.streamId) {
+    if (!this.hasSource()) {
+      throw new WHEPRelayError('No active stream to relay', 404);
+    }
+    if (!offerSdp) {
+      throw new WHEPRelayError('SDP offer is required', 400);
+    }
+
+    const sessionId = uuidv4();
+    const peerConnection = new RTCPeerConnection({
+      iceServers: this.options.iceServers
+    });
+
+    try {
+      const sender = peerConnection.addTrack(this.track, this.mediaStream);
+
+      peerConnection.onconnectionstatechange = () => {
+        const state = peerConnection.connectionState;
+        logger.info(`Viewer ${sessionId} connection state: ${state}`);
+        if (state === 'connected') {
+          clearTimeout(this.sessions.get(sessionId)?.connectTimer);
+        } else if (state === 'failed' || state === 'closed') {
+          this.closeSession(sessionId);
+        }
+      };
+
+      await peerConnection.setRemoteDescription(new RTCSessionDescription({
+        type: 'offer',
+        sdp: offerSdp
+      }));
+
+      const answer = await peerConnection.createAnswer();
+      await peerConnection.setLocalDescription(answer);
+
+      // No trickle ICE towards viewers, so the answer carries all candidates
+      await this.waitForIceGathering(peerConnection);
+
+      this.sessions.set(sessionId, {
+        peerConnection,
+        sender,
+        streamId,
+        createdAt: Date.now(),
+        // Viewers that never apply the answer or cannot reach us would stay forever
+        connectTimer: setTimeout(() => {
+          logger.warn(`Viewer ${sessionId} did not connect within ${this.options.connectTimeout}ms, dropping it`);
+          this.closeSession(sessionId);
+        }, this.options.connectTimeout)
+      });
+
+      logger.info(`Viewer ${sessionId} joined relay of stream ${this.streamId}`);
+
+      return {
+        sessionId,
+        answerSdp: peerConnection.localDescription.sdp
+      };
+
+    } catch (error) {
+      peerConnection.close();
+      if (error instanceof WHEPRelayError) {
+        throw error;
+      }
+      throw new WHEPRelayError(`Failed to negotiate viewer session: ${error.message}`, 400);
+    }
+  }
+
+  waitForIceGathering(peerConnection) {
+    if (peerConnection.iceGatheringState === 'complete') {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        logger.warn('ICE gathering timed out, answering with candidates gathered so far');
+        resolve();
+      }, this.options.gatherTimeout);
+
+      peerConnection.onicegatheringstatechange = () => {
+        if (peerConnection.iceGatheringState === 'complete') {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+    });
+  }
+
+  // With a streamId, only closes the session if it was created for that stream
+  closeSession(sessionId, streamId = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session || (streamId !== null && session.streamId !== streamId)) {
+      return false;
+    }
+
+    this.sessions.delete(sessionId);
+    clearTimeout(session.connectTimer);
+    session.peerConnection.close();
+    logger.info(`Viewer ${sessionId} left relay`);
+    return true;
+  }
+
+  closeAll() {
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.closeSession(sessionId);
+    }
+  }
+
+  getViewerCount() {
+    return this.sessions.size;
+  }
+}